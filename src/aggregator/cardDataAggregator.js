@@ -1,4 +1,4 @@
-const { createEmptyCardData } = require('../schema/cardSchema');
+const { createEmptyCardData, listFieldValues } = require('../schema/cardSchema');
 
 class CardDataAggregator {
   constructor() {
@@ -6,11 +6,25 @@ class CardDataAggregator {
     this.sources = [];
   }
 
-  addSourceData(data, sourceType, url) {
-    this.sources.push({ data, sourceType, url });
+  addSourceData(data, sourceType, url, meta = {}) {
+    this.sources.push({ data, sourceType, url, ...meta });
     this.mergeData(data);
   }
 
+  /**
+   * Records another URL serving the same content as an existing source, so
+   * duplicate pages are listed once instead of being merged again.
+   */
+  addAlias(url, aliasUrl) {
+    const source = this.sources.find(s => s.url === url);
+    if (!source) return false;
+    source.aliases = source.aliases || [];
+    if (!source.aliases.includes(aliasUrl)) {
+      source.aliases.push(aliasUrl);
+    }
+    return true;
+  }
+
   mergeData(sourceData) {
     const stringFields = ['cardName', 'annualFee', 'joiningFee', 'interestRate', 'foreignCurrencyMarkup'];
     stringFields.forEach(field => {
@@ -76,6 +90,32 @@ class CardDataAggregator {
     return this.sources;
   }
 
+  /**
+   * Cites the source of every merged value: the first source that has it,
+   * with the PDF page when that source recorded one (see
+   * CardDataParser.getProvenance).
+   * @returns {Array} { field, value, sourceType, url, page }
+   */
+  getProvenance() {
+    const sourceValues = this.sources.map(source => ({ source, values: listFieldValues(source.data) }));
+    return listFieldValues(this.cardData).map(({ field, value }) => {
+      const found = sourceValues.find(({ values }) =>
+        values.some(candidate => candidate.field === field && candidate.value === value)
+      );
+      if (!found) return { field, value, sourceType: null, url: null, page: null };
+
+      const { source } = found;
+      const citation = (source.provenance || []).find(entry => entry.field === field && entry.value === value);
+      return {
+        field,
+        value,
+        sourceType: source.sourceType,
+        url: source.url,
+        page: citation ? citation.page : null,
+      };
+    });
+  }
+
   getCompletenessReport() {
     const report = {
       totalFields: 0,
@@ -133,6 +173,22 @@ class CardDataAggregator {
     }
   }
 
+  toJSON() {
+    return { sources: this.sources };
+  }
+
+  /**
+   * Rebuilds an aggregator from a toJSON() snapshot by merging its sources again in order.
+   */
+  static fromJSON(state) {
+    const aggregator = new CardDataAggregator();
+    for (const source of state.sources || []) {
+      aggregator.sources.push(source);
+      aggregator.mergeData(source.data);
+    }
+    return aggregator;
+  }
+
   reset() {
     this.cardData = createEmptyCardData();
     this.sources = [];
@@ -0,0 +1,229 @@
+const fs = require('fs/promises');
+const path = require('path');
+const yaml = require('js-yaml');
+const settings = require('./settings');
+const { validateUrl } = require('../utils/validation');
+const { ValidationError } = require('../utils/errorHandler');
+const { globalProfileRegistry } = require('../profiles');
+
+// Card URL slug words that do not identify a particular card
+const GENERIC_SLUG_WORDS = ['credit', 'debit', 'card', 'cards', 'new', 'online', 'apply'];
+
+/**
+ * Compiles a manifest pattern into a RegExp.
+ * Accepts RegExp instances, "/source/flags" literals, plain strings or { pattern, flags } objects.
+ * @param {RegExp|string|Object} value - Pattern definition
+ * @returns {RegExp} Compiled pattern
+ */
+function compilePattern(value) {
+  if (value instanceof RegExp) return value;
+
+  if (typeof value === 'string') {
+    const literal = value.match(/^\/(.+)\/([gimsuy]*)$/);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+  }
+
+  if (value && typeof value.pattern === 'string') {
+    return new RegExp(value.pattern, value.flags || '');
+  }
+
+  throw new ValidationError(`Invalid pattern in manifest: ${JSON.stringify(value)}`);
+}
+
+function compileWeightedPatterns(list = []) {
+  return list.map(item => {
+    if (!item || item.weight === undefined) {
+      throw new ValidationError(`Priority pattern requires a weight: ${JSON.stringify(item)}`);
+    }
+    const compiled = { pattern: compilePattern(item.pattern), weight: Number(item.weight) };
+    if (item.once) compiled.once = true;
+    return compiled;
+  });
+}
+
+/**
+ * Card relevance lists are added to the global and profile ones unless
+ * inheritPatterns is false; threshold replaces the global one.
+ */
+function resolveRelevance(relevance = {}, inherit = true, profileRelevance = {}) {
+  const lists = {};
+  for (const key of ['urlPatterns', 'keywords', 'negativeTerms']) {
+    const own = compileWeightedPatterns(relevance[key]);
+    lists[key] = inherit ? [...settings.relevance[key], ...(profileRelevance[key] || []), ...own] : own;
+  }
+  return {
+    threshold: relevance.threshold !== undefined ? Number(relevance.threshold) : settings.relevance.threshold,
+    ...lists,
+  };
+}
+
+function compileCategories(list = []) {
+  return list.map(item => ({ name: item.name, pattern: compilePattern(item.pattern) }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Words identifying the card (e.g. ['regalia', 'gold'] for
+ * .../regalia-gold-credit-card), used to recognise its name and pages.
+ */
+function deriveNameKeywords(cardUrl) {
+  try {
+    const parts = new URL(cardUrl).pathname.split('/').filter(Boolean);
+    return (parts[parts.length - 1] || '')
+      .toLowerCase()
+      .replace(/\.\w+$/, '')
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !GENERIC_SLUG_WORDS.includes(word));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Link priority and relevance rules for the card's own name.
+ */
+function nameRules(nameKeywords) {
+  if (nameKeywords.length === 0) {
+    return { priorityPatterns: [], urlPatterns: [], keywords: [] };
+  }
+  const words = nameKeywords.map(escapeRegExp);
+  return {
+    priorityPatterns: [{ pattern: new RegExp(words.join('.*'), 'i'), weight: 25 }],
+    urlPatterns: words.map(word => ({ pattern: new RegExp(word, 'i'), weight: 5 })),
+    keywords: [{ pattern: new RegExp(words.join('\\s+'), 'i'), weight: 2 }],
+  };
+}
+
+function deriveCardId(cardUrl) {
+  try {
+    const parts = new URL(cardUrl).pathname.split('/').filter(Boolean);
+    return (parts[parts.length - 1] || 'credit-card').replace(/[^a-zA-Z0-9-]/g, '-');
+  } catch {
+    return 'credit-card';
+  }
+}
+
+/**
+ * Builds the per-card crawl configuration, starting from settings and applying overrides.
+ * Manifest patterns are appended to the global and bank profile ones unless inheritPatterns is false.
+ * @param {Object} entry - Card entry (manifest entry or programmatic overrides)
+ * @param {Object} defaults - Manifest-level defaults applied before the entry
+ * @param {Object} run - Manifest run options; run.outputDir is the card's default outputDir
+ * @returns {Object} Card configuration consumed by extractCardData
+ */
+function resolveCardConfig(entry = {}, defaults = {}, run = {}) {
+  const merged = {
+    ...defaults,
+    ...entry,
+    crawler: { ...defaults.crawler, ...entry.crawler },
+    pdf: { ...defaults.pdf, ...entry.pdf },
+    sitemap: { ...defaults.sitemap, ...entry.sitemap },
+    relevance: { ...defaults.relevance, ...entry.relevance },
+    linkSourceWeights: { ...defaults.linkSourceWeights, ...entry.linkSourceWeights },
+  };
+
+  const cardUrl = merged.cardUrl || settings.cardUrl;
+  const urlValidation = validateUrl(cardUrl);
+  if (!urlValidation.isValid) {
+    throw new ValidationError(`Invalid cardUrl "${cardUrl}": ${urlValidation.error}`, { cardUrl });
+  }
+
+  const baseDomain = merged.baseDomain || (merged.cardUrl ? new URL(cardUrl).hostname.replace(/^www\./, '') : settings.baseDomain);
+  const inherit = merged.inheritPatterns !== false;
+
+  const profile = merged.profile ? globalProfileRegistry.get(merged.profile) : globalProfileRegistry.forDomain(baseDomain);
+  const nameKeywords = (merged.nameKeywords || deriveNameKeywords(cardUrl)).map(word => String(word).toLowerCase());
+  const cardNameRules = nameRules(nameKeywords);
+
+  const ignorePatterns = (merged.ignorePatterns || []).map(compilePattern);
+  const priorityPatterns = compileWeightedPatterns(merged.priorityPatterns);
+  const categories = compileCategories(merged.categories);
+  const relevance = resolveRelevance(merged.relevance, inherit, {
+    urlPatterns: [...profile.relevance.urlPatterns, ...cardNameRules.urlPatterns],
+    keywords: [...profile.relevance.keywords, ...cardNameRules.keywords],
+    negativeTerms: profile.relevance.negativeTerms,
+  });
+
+  return {
+    id: merged.id || deriveCardId(cardUrl),
+    cardUrl,
+    baseDomain,
+    profile,
+    nameKeywords,
+    ignorePatterns: inherit ? [...settings.ignorePatterns, ...profile.ignorePatterns, ...ignorePatterns] : ignorePatterns,
+    priorityPatterns: inherit
+      ? [...settings.priorityPatterns, ...profile.priorityPatterns, ...cardNameRules.priorityPatterns, ...priorityPatterns]
+      : priorityPatterns,
+    categories: categories.length > 0 ? categories : settings.categories,
+    linkSourceWeights: { ...settings.linkSourceWeights, ...merged.linkSourceWeights },
+    crawler: { ...settings.crawler, ...merged.crawler },
+    pdf: { ...settings.pdf, ...merged.pdf },
+    sitemap: { ...settings.sitemap, ...merged.sitemap },
+    relevance,
+    fetchers: typeof merged.fetcher === 'string' ? { [baseDomain]: merged.fetcher } : { ...merged.fetcher },
+    preflight: Array.isArray(merged.preflight) ? { [baseDomain]: merged.preflight } : { ...merged.preflight },
+    outputDir: merged.outputDir || run.outputDir || settings.paths.output,
+  };
+}
+
+function parseManifest(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    return yaml.load(content);
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Loads a JSON or YAML card manifest and resolves every card entry.
+ * @param {string} filePath - Path to the manifest file
+ * @returns {Promise<Object>} { run, cards } with run options and resolved card configs
+ */
+async function loadManifest(filePath) {
+  let raw;
+  try {
+    raw = parseManifest(await fs.readFile(filePath, 'utf8'), filePath);
+  } catch (error) {
+    throw new ValidationError(`Failed to read manifest ${filePath}: ${error.message}`, { filePath });
+  }
+
+  const entries = Array.isArray(raw) ? raw : raw && raw.cards;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError(`Manifest ${filePath} does not list any cards`, { filePath });
+  }
+
+  const defaults = (!Array.isArray(raw) && raw.defaults) || {};
+  const run = (!Array.isArray(raw) && raw.run) || {};
+  const cards = entries.map((entry, index) => {
+    if (!entry || !entry.cardUrl) {
+      throw new ValidationError(`Manifest entry ${index + 1} is missing cardUrl`, { filePath, index });
+    }
+    return resolveCardConfig(entry, defaults, run);
+  });
+
+  const ids = new Set();
+  for (const card of cards) {
+    if (ids.has(card.id)) {
+      throw new ValidationError(`Duplicate card id in manifest: ${card.id}`, { filePath });
+    }
+    ids.add(card.id);
+  }
+
+  return {
+    run: {
+      mode: run.mode === 'parallel' ? 'parallel' : 'sequential',
+      concurrency: parseInt(run.concurrency) || settings.batch.concurrency,
+      outputDir: run.outputDir || settings.paths.output,
+    },
+    cards,
+  };
+}
+
+module.exports = {
+  loadManifest,
+  resolveCardConfig,
+  compilePattern,
+};
@@ -0,0 +1,241 @@
+const { normalizeUrl } = require("./linkHandler");
+
+/**
+ * Breadth-first crawl frontier. Entries are served by depth first, then by
+ * link priority, then in discovery order. Every URL is tracked once (by its
+ * normalized form) together with the depth and parent it was discovered at.
+ */
+class CrawlFrontier {
+  constructor(options = {}) {
+    this.maxDepth = Number.isInteger(options.maxDepth) ? options.maxDepth : 2;
+    this.entries = new Map();
+    this.queue = [];
+    this.sequence = 0;
+    this.pagesByCanonical = new Map();
+    this.pagesByContentHash = new Map();
+  }
+
+  static key(url) {
+    return normalizeUrl(url) || url;
+  }
+
+  has(url) {
+    return this.entries.has(CrawlFrontier.key(url));
+  }
+
+  get(url) {
+    return this.entries.get(CrawlFrontier.key(url)) || null;
+  }
+
+  /**
+   * Registers a URL that was fetched outside the queue (e.g. the seed page).
+   */
+  markVisited(url, { depth = 0, parent = null, type = "page", status = "crawled" } = {}) {
+    const entry = this.createEntry({ href: url, type, discoveredVia: "seed" }, depth, parent);
+    entry.status = status;
+    this.entries.set(entry.key, entry);
+    return entry;
+  }
+
+  /**
+   * The fetched page a URL is the canonical URL of, if any: links to it are
+   * not queued again (see add).
+   */
+  canonicalOf(url) {
+    return this.pagesByCanonical.get(CrawlFrontier.key(url)) || null;
+  }
+
+  /**
+   * Queues a processed link (see linkHandler.processLinks).
+   * @returns {Object|null} The new entry, or null if already known or too deep
+   */
+  add(link, { depth, parent = null }) {
+    if (!link || !link.href || depth > this.maxDepth) return null;
+    const key = CrawlFrontier.key(link.href);
+    if (this.entries.has(key) || this.pagesByCanonical.has(key)) return null;
+
+    const entry = this.createEntry(link, depth, parent);
+    this.entries.set(key, entry);
+    this.queue.push(entry);
+    return entry;
+  }
+
+  addAll(links, options) {
+    return links.map((link) => this.add(link, options)).filter(Boolean);
+  }
+
+  hasNext(type = null) {
+    return this.queue.some((entry) => !type || entry.type === type);
+  }
+
+  next(type = null) {
+    let bestIndex = -1;
+    for (let i = 0; i < this.queue.length; i++) {
+      const entry = this.queue[i];
+      if (type && entry.type !== type) continue;
+      if (bestIndex === -1 || this.compare(entry, this.queue[bestIndex]) < 0) {
+        bestIndex = i;
+      }
+    }
+    if (bestIndex === -1) return null;
+
+    const [entry] = this.queue.splice(bestIndex, 1);
+    entry.status = "in-progress";
+    return entry;
+  }
+
+  /**
+   * Records a fetched page under its canonical URL and content hash. When an
+   * earlier page already holds either, the entry is marked as a duplicate and
+   * added to that page's aliases; a still-queued entry for the canonical URL
+   * is dropped since its content is already known.
+   * @param {Object} entry - Frontier entry of the fetched page
+   * @param {Object} page - { canonicalUrl, contentHash } from crawlPage
+   * @returns {Object|null} The entry this page duplicates, or null if it is new
+   */
+  registerPage(entry, { canonicalUrl = null, contentHash = null } = {}) {
+    const canonicalKey = CrawlFrontier.key(canonicalUrl || entry.url);
+    const original =
+      this.pagesByCanonical.get(canonicalKey) ||
+      (contentHash && this.pagesByContentHash.get(contentHash));
+
+    if (original && original !== entry) {
+      const reason = this.pagesByCanonical.get(canonicalKey) === original ? "canonical" : "content-hash";
+      this.setStatus(entry, "duplicate", { duplicateOf: original.url, duplicateReason: reason });
+      original.aliases = [...(original.aliases || []), entry.url];
+      return original;
+    }
+
+    entry.canonicalUrl = canonicalUrl;
+    this.pagesByCanonical.set(canonicalKey, entry);
+    this.pagesByCanonical.set(entry.key, entry);
+    if (contentHash) this.pagesByContentHash.set(contentHash, entry);
+
+    const queuedCanonical = this.entries.get(canonicalKey);
+    if (queuedCanonical && queuedCanonical !== entry && queuedCanonical.status === "queued") {
+      this.queue = this.queue.filter((queued) => queued !== queuedCanonical);
+      this.setStatus(queuedCanonical, "duplicate", { duplicateOf: entry.url, duplicateReason: "canonical" });
+      entry.aliases = [...(entry.aliases || []), queuedCanonical.url];
+    }
+    return null;
+  }
+
+  /**
+   * Takes every queued entry at the shallowest depth that still has work, in
+   * frontier order, at most `limits[type]` entries per type (e.g. { page: 3, pdf: 1 }).
+   * @returns {Object[]} Entries now in progress; empty when nothing is left
+   */
+  takeLevel(limits = {}) {
+    const limitFor = (type) => (limits[type] === undefined ? Infinity : limits[type]);
+    const candidates = this.queue.filter((entry) => limitFor(entry.type) > 0);
+    if (candidates.length === 0) return [];
+
+    const depth = Math.min(...candidates.map((entry) => entry.depth));
+    const counts = {};
+    const taken = candidates
+      .filter((entry) => entry.depth === depth)
+      .sort((a, b) => this.compare(a, b))
+      .filter((entry) => {
+        counts[entry.type] = (counts[entry.type] || 0) + 1;
+        return counts[entry.type] <= limitFor(entry.type);
+      });
+
+    this.queue = this.queue.filter((entry) => !taken.includes(entry));
+    for (const entry of taken) {
+      entry.status = "in-progress";
+    }
+    return taken;
+  }
+
+  compare(a, b) {
+    if (a.depth !== b.depth) return a.depth - b.depth;
+    if (a.priority !== b.priority) return b.priority - a.priority;
+    return a.sequence - b.sequence;
+  }
+
+  setStatus(entry, status, details = {}) {
+    entry.status = status;
+    Object.assign(entry, details);
+  }
+
+  createEntry(link, depth, parent) {
+    return {
+      key: CrawlFrontier.key(link.href),
+      url: link.href,
+      type: link.type || (link.isPDF ? "pdf" : "page"),
+      depth,
+      parent,
+      priority: link.priority || 0,
+      category: link.category || "general",
+      text: link.text || "",
+      discoveredVia: link.discoveredVia || "anchor",
+      status: "queued",
+      sequence: this.sequence++,
+    };
+  }
+
+  /**
+   * Serializable snapshot of the frontier (see fromJSON).
+   */
+  toJSON() {
+    return {
+      maxDepth: this.maxDepth,
+      sequence: this.sequence,
+      entries: Array.from(this.entries.values()),
+      queue: this.queue.map((entry) => entry.key),
+      pagesByCanonical: Array.from(this.pagesByCanonical, ([key, entry]) => [key, entry.key]),
+      pagesByContentHash: Array.from(this.pagesByContentHash, ([hash, entry]) => [hash, entry.key]),
+    };
+  }
+
+  static fromJSON(state) {
+    const frontier = new CrawlFrontier({ maxDepth: state.maxDepth });
+    frontier.sequence = state.sequence;
+    for (const entry of state.entries) {
+      frontier.entries.set(entry.key, entry);
+    }
+    const lookup = (key) => frontier.entries.get(key);
+    frontier.queue = state.queue.map(lookup).filter(Boolean);
+    frontier.pagesByCanonical = new Map(state.pagesByCanonical.map(([key, entryKey]) => [key, lookup(entryKey)]));
+    frontier.pagesByContentHash = new Map(state.pagesByContentHash.map(([hash, entryKey]) => [hash, lookup(entryKey)]));
+    return frontier;
+  }
+
+  /**
+   * Puts entries that were being fetched when a run stopped back in the queue.
+   * @returns {Object[]} The re-queued entries
+   */
+  requeueInProgress() {
+    const interrupted = Array.from(this.entries.values()).filter((entry) => entry.status === "in-progress");
+    for (const entry of interrupted) {
+      entry.status = "queued";
+      this.queue.push(entry);
+    }
+    return interrupted;
+  }
+
+  getEntries() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(({ key, sequence, ...entry }) => entry);
+  }
+
+  getSummary() {
+    const entries = this.getEntries();
+    const byStatus = {};
+    const byDepth = {};
+    for (const entry of entries) {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+      byDepth[entry.depth] = (byDepth[entry.depth] || 0) + 1;
+    }
+    return {
+      maxDepth: this.maxDepth,
+      discovered: entries.length,
+      byStatus,
+      byDepth,
+      entries,
+    };
+  }
+}
+
+module.exports = { CrawlFrontier };
@@ -0,0 +1,83 @@
+const { httpClient } = require("../../utils/httpClient");
+const { withRateLimit } = require("../../utils/rateLimiter");
+const { globalHttpCache } = require("../../utils/httpCache");
+const { logInfo } = require("../../utils/logger");
+
+/**
+ * Plain HTTP fetcher: one GET through axios, answered from or revalidated
+ * against the HTTP cache when possible.
+ */
+class AxiosFetcher {
+  constructor(options = {}) {
+    this.name = "axios";
+    this.options = {
+      cache: globalHttpCache,
+      requestOptions: {},
+      ...options,
+    };
+  }
+
+  /**
+   * @param {string} url - Page URL
+   * @param {Object} options - { timeout, maxContentLength, maxRedirects, userAgent }
+   * @returns {Promise<Object>} { url, status, headers, body, fromCache, fetcher } with the raw body bytes
+   */
+  async fetch(url, options = {}) {
+    const cache = this.options.cache;
+    const cached = await cache.lookup(url);
+    if (cached.usable) {
+      logInfo(`Serving from HTTP cache: ${url}`);
+      return this.fromEntry(url, cached.entry);
+    }
+
+    const domain = new URL(url).hostname;
+    const response = await withRateLimit(domain, () =>
+      httpClient.get(url, {
+        timeout: options.timeout,
+        maxContentLength: options.maxContentLength,
+        headers: {
+          "User-Agent": options.userAgent,
+          Accept:
+            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
+          "Accept-Language": "en-US,en;q=0.9",
+          "Accept-Encoding": "gzip, deflate, br",
+          "Cache-Control": "no-cache",
+          Pragma: "no-cache",
+          ...cached.headers,
+        },
+        responseType: "arraybuffer",
+        maxRedirects: options.maxRedirects,
+        validateStatus: (status) => status >= 200 && status < 400,
+        ...this.options.requestOptions,
+      })
+    );
+
+    if (response.status === 304 && cached.entry) {
+      return this.fromEntry(url, await cache.revalidate(url, cached.entry, response.headers));
+    }
+
+    const body = Buffer.from(response.data || "");
+    await cache.store(url, response, body);
+    return {
+      url,
+      status: response.status,
+      headers: response.headers,
+      body,
+      fromCache: false,
+      fetcher: this.name,
+    };
+  }
+
+  fromEntry(url, entry) {
+    return {
+      url,
+      status: entry.meta.status,
+      headers: entry.meta.headers,
+      body: entry.body,
+      fromCache: true,
+      fetcher: this.name,
+    };
+  }
+}
+
+module.exports = { AxiosFetcher };
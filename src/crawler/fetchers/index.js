@@ -0,0 +1,83 @@
+const settings = require("../../config/settings");
+const { AxiosFetcher } = require("./axiosFetcher");
+const { ReplayFetcher } = require("./replayFetcher");
+const { RenderFetcher } = require("./renderFetcher");
+const { ValidationError } = require("../../utils/errorHandler");
+
+/**
+ * Maps hostnames to fetcher backends. A backend configured for a domain also
+ * applies to its subdomains; everything else uses the default backend.
+ *
+ * A backend is any object with a `name` and
+ * `fetch(url, options) → Promise<{ url, status, headers, body, fromCache, fetcher }>`
+ * where body holds the raw bytes. Backends that produce markup themselves
+ * (e.g. the renderer) return a decoded `html` string and its `encoding` instead.
+ */
+class FetcherRegistry {
+  constructor(config = settings.fetchers) {
+    this.factories = new Map([
+      ["axios", () => new AxiosFetcher()],
+      ["replay", () => new ReplayFetcher()],
+      ["render", () => new RenderFetcher()],
+    ]);
+    this.instances = new Map();
+    this.domains = new Map();
+    this.defaultName = config.default || "axios";
+
+    for (const [domain, name] of Object.entries(config.domains || {})) {
+      this.setDomainFetcher(domain, name);
+    }
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+  }
+
+  assertKnown(name) {
+    if (!this.factories.has(name)) {
+      throw new ValidationError(`Unknown fetcher "${name}" (available: ${[...this.factories.keys()].join(", ")})`, { fetcher: name });
+    }
+  }
+
+  setDefault(name) {
+    this.assertKnown(name);
+    this.defaultName = name;
+  }
+
+  setDomainFetcher(domain, name) {
+    this.assertKnown(name);
+    this.domains.set(domain.toLowerCase().replace(/^www\./, ""), name);
+  }
+
+  get(name) {
+    this.assertKnown(name);
+    if (!this.instances.has(name)) {
+      this.instances.set(name, this.factories.get(name)());
+    }
+    return this.instances.get(name);
+  }
+
+  resolveName(url) {
+    const labels = new URL(url).hostname.toLowerCase().split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const name = this.domains.get(labels.slice(i).join("."));
+      if (name) return name;
+    }
+    return this.defaultName;
+  }
+
+  forUrl(url) {
+    return this.get(this.resolveName(url));
+  }
+}
+
+const globalFetcherRegistry = new FetcherRegistry();
+
+module.exports = {
+  FetcherRegistry,
+  globalFetcherRegistry,
+  AxiosFetcher,
+  ReplayFetcher,
+  RenderFetcher,
+};
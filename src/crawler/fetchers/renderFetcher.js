@@ -0,0 +1,178 @@
+const { httpClient } = require("../../utils/httpClient");
+const settings = require("../../config/settings");
+const { AxiosFetcher } = require("./axiosFetcher");
+const { globalRobotsCache } = require("../robotsTxt");
+const { withRateLimit } = require("../../utils/rateLimiter");
+const { globalCookieSession } = require("../../utils/cookieJar");
+const { decodeHtml } = require("../../utils/charset");
+const { logInfo, logWarn } = require("../../utils/logger");
+
+/**
+ * Renders pages whose content is built client-side. The document is fetched
+ * with the axios backend (so caching, recording and replay still apply), then
+ * its scripts run inside a jsdom window and the resulting DOM is serialized.
+ *
+ * Script files and window.fetch() calls are loaded through axios as well,
+ * rate limited and checked against robots.txt. Stylesheets, images and frames
+ * are never loaded.
+ *
+ * jsdom does not sandbox page scripts, so what they can send is limited:
+ * fetch() and XMLHttpRequest only make GET/HEAD requests to the page's own
+ * origin, and sendBeacon and WebSocket are unavailable.
+ */
+class RenderFetcher {
+  constructor(options = {}) {
+    this.name = "render";
+    this.options = {
+      ...settings.browser,
+      ...settings.fetchers.render,
+      ...options,
+    };
+    this.documentFetcher = this.options.documentFetcher || new AxiosFetcher();
+  }
+
+  async fetch(url, options = {}) {
+    const page = await this.documentFetcher.fetch(url, options);
+    const { html, encoding, encodingSource } = decodeHtml(page.body, page.headers["content-type"]);
+    const rendered = await this.render(url, html);
+    return { ...page, html: rendered, encoding, encodingSource, fetcher: this.name };
+  }
+
+  async render(url, html) {
+    const { JSDOM, VirtualConsole, CookieJar } = require("jsdom");
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", (error) => {
+      logWarn(`Page script error on ${url}: ${error.message}`);
+    });
+
+    const dom = new JSDOM(html, {
+      url,
+      runScripts: "dangerously",
+      resources: this.createResourceLoader(),
+      // document.cookie reads and writes the crawler's cookie jar
+      cookieJar: new CookieJar(globalCookieSession.jar.store),
+      pretendToBeVisual: true,
+      virtualConsole,
+      beforeParse: (window) => this.prepareWindow(window, url),
+    });
+
+    try {
+      const loaded = await this.waitForLoad(dom.window);
+      if (!loaded) {
+        logWarn(`Page did not finish loading within ${this.options.timeout}ms, using partial render: ${url}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.options.settleMs));
+      const rendered = dom.serialize();
+      logInfo(`Rendered ${url} (${html.length} → ${rendered.length} chars)`);
+      return rendered;
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  waitForLoad(window) {
+    if (window.document.readyState === "complete") return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), this.options.timeout);
+      window.addEventListener("load", () => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+  }
+
+  prepareWindow(window, pageUrl) {
+    const { width, height } = this.options.viewport || {};
+    if (width) Object.defineProperty(window, "innerWidth", { value: width, configurable: true });
+    if (height) Object.defineProperty(window, "innerHeight", { value: height, configurable: true });
+    window.fetch = async (input, init = {}) => {
+      const url = new URL(String(input.url || input), pageUrl).href;
+      if (!this.isAllowedPageRequest(init.method, url, pageUrl)) {
+        throw new window.TypeError(`Request blocked by the crawler: ${init.method || "GET"} ${url}`);
+      }
+      return this.windowFetch(url, init);
+    };
+
+    const fetcher = this;
+    const open = window.XMLHttpRequest.prototype.open;
+    window.XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      const absoluteUrl = new URL(String(url), pageUrl).href;
+      if (!fetcher.isAllowedPageRequest(method, absoluteUrl, pageUrl)) {
+        throw new window.DOMException(`Request blocked by the crawler: ${method} ${absoluteUrl}`, "SecurityError");
+      }
+      return open.call(this, method, url, ...rest);
+    };
+    Object.defineProperty(window.navigator, "sendBeacon", { value: () => false, configurable: true });
+    delete window.WebSocket;
+  }
+
+  /**
+   * Page scripts may only read from the page's own origin.
+   */
+  isAllowedPageRequest(method = "GET", url, pageUrl) {
+    return ["GET", "HEAD"].includes(String(method).toUpperCase()) && new URL(url).origin === new URL(pageUrl).origin;
+  }
+
+  async request(url, config = {}) {
+    const robots = await globalRobotsCache.check(url);
+    if (!robots.allowed) {
+      throw new Error(`Blocked by robots.txt: ${url}`);
+    }
+    return withRateLimit(new URL(url).hostname, () =>
+      httpClient({
+        url,
+        timeout: this.options.timeout,
+        responseType: "arraybuffer",
+        ...config,
+        headers: { "User-Agent": this.options.userAgent, ...config.headers },
+      })
+    );
+  }
+
+  /**
+   * Minimal fetch() for page scripts: enough for the common
+   * `fetch(url).then(r => r.json())` pattern.
+   */
+  async windowFetch(url, init) {
+    const response = await this.request(url, {
+      method: init.method || "GET",
+      headers: init.headers || {},
+      validateStatus: () => true,
+    });
+    const body = Buffer.from(response.data || "");
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      statusText: response.statusText,
+      url,
+      headers: { get: (name) => response.headers[String(name).toLowerCase()] || null },
+      text: async () => body.toString("utf8"),
+      json: async () => JSON.parse(body.toString("utf8")),
+    };
+  }
+
+  createResourceLoader() {
+    const { ResourceLoader } = require("jsdom");
+    const fetcher = this;
+    let scriptsLoaded = 0;
+
+    class ScriptLoader extends ResourceLoader {
+      fetch(url, options) {
+        if (!options.element || options.element.localName !== "script") return null;
+        if (scriptsLoaded >= fetcher.options.maxScripts) return null;
+        scriptsLoaded++;
+
+        const controller = new AbortController();
+        const promise = fetcher
+          .request(url, { signal: controller.signal })
+          .then((response) => Buffer.from(response.data || ""));
+        promise.abort = () => controller.abort();
+        return promise;
+      }
+    }
+
+    return new ScriptLoader({ userAgent: this.options.userAgent });
+  }
+}
+
+module.exports = { RenderFetcher };
@@ -0,0 +1,47 @@
+const settings = require("../../config/settings");
+const { AxiosFetcher } = require("./axiosFetcher");
+const { FixtureBundle, createReplayAdapter } = require("../../utils/fixtureBundle");
+const { ValidationError } = require("../../utils/errorHandler");
+
+// Recorded responses are served as-is, never from or into the HTTP cache.
+const NO_CACHE = {
+  lookup: async () => ({ entry: null, usable: false, headers: {} }),
+  store: async () => {},
+  revalidate: async (url, entry) => entry,
+};
+
+/**
+ * Serves pages from a recorded fixture bundle (see utils/fixtureBundle)
+ * instead of the network. Only page HTML goes through this backend; use
+ * --replay to serve robots.txt, sitemaps and PDFs from a bundle as well.
+ */
+class ReplayFetcher {
+  constructor(options = {}) {
+    this.name = "replay";
+    this.options = { ...settings.fetchers.replay, ...options };
+    this.loading = null;
+  }
+
+  getFetcher() {
+    if (!this.options.bundle) {
+      throw new ValidationError('The "replay" fetcher needs fetchers.replay.bundle (or REPLAY_BUNDLE) to be set');
+    }
+    if (!this.loading) {
+      this.loading = new FixtureBundle(FixtureBundle.resolvePath(this.options.bundle))
+        .load()
+        .then((bundle) => new AxiosFetcher({
+          cache: NO_CACHE,
+          requestOptions: { adapter: createReplayAdapter(bundle) },
+        }));
+    }
+    return this.loading;
+  }
+
+  async fetch(url, options = {}) {
+    const fetcher = await this.getFetcher();
+    const page = await fetcher.fetch(url, options);
+    return { ...page, fetcher: this.name };
+  }
+}
+
+module.exports = { ReplayFetcher };
@@ -1,7 +1,7 @@
 // src/crawler/htmlCrawler.js
-const axios = require("axios");
 const cheerio = require("cheerio");
 const { URL } = require("url");
+const crypto = require("crypto");
 const {
   logInfo,
   logSuccess,
@@ -12,6 +12,48 @@ const {
   cleanUrl,
   normalizeUrl,
 } = require("./linkHandler");
+const { assertAllowedByRobots } = require("./robotsTxt");
+const { RobotsDisallowedError, CacheMissError, ValidationError } = require("../utils/errorHandler");
+const { globalFetcherRegistry } = require("./fetchers");
+const { decodeHtml } = require("../utils/charset");
+const { runPool } = require("../utils/workerPool");
+const settings = require("../config/settings");
+
+// Elements whose text is set apart from its neighbours when panel text is read
+const BLOCK_ELEMENTS = "address, article, blockquote, br, dd, div, dl, dt, h1, h2, h3, h4, h5, h6, hr, li, ol, p, section, table, td, th, tr, ul";
+
+// Larger embedded payloads (whole-site state dumps) are skipped.
+const MAX_EMBEDDED_JSON_CHARS = 2 * 1024 * 1024;
+
+// [attribute, discoveredVia] for buttons and widgets that carry their target in an attribute.
+const RESOURCE_LINK_ATTRIBUTES = [
+  ["data-href", "data-attribute"],
+  ["data-url", "data-attribute"],
+  ["data-link", "data-attribute"],
+  ["data-pdf", "download"],
+  ["data-file", "download"],
+  ["data-download", "download"],
+  ["data-download-url", "download"],
+];
+
+// Attribute values that look like a URL or file path rather than a flag ("true", "1").
+const URL_LIKE_VALUE = /^(?:https?:)?\/|^\.{1,2}\/|\.[a-z0-9]{2,5}(?:$|[?#])/i;
+
+// [selector, attribute, discoveredVia] for embedded documents.
+const EMBEDDED_RESOURCES = [
+  ["iframe[src]", "src", "iframe"],
+  ["embed[src]", "src", "embed"],
+  ["object[data]", "data", "object"],
+];
+
+// window.open('…'), location.href = '…', location.assign/replace('…'), or any quoted .pdf path.
+const ONCLICK_URL_PATTERN =
+  /(?:window\.open|location(?:\.href)?\s*=|location\.(?:assign|replace))\s*\(?\s*['"]([^'"]+)['"]|['"]([^'"\s]+\.pdf(?:\?[^'"\s]*)?)['"]/gi;
+
+function countMatches(text, pattern) {
+  const flags = [...new Set(`${pattern.flags}gi`)].join("");
+  return (text.match(new RegExp(pattern.source, flags)) || []).length;
+}
 
 function validateCrawlUrl(url) {
   try {
@@ -30,7 +72,9 @@ function validateCrawlUrl(url) {
 
 class HTMLCrawler {
   constructor(options = {}) {
+    // Spread first, so an option passed as undefined still gets its default
     this.options = {
+      ...options,
       timeout: options.timeout || 30000,
       userAgent:
         options.userAgent ||
@@ -40,7 +84,7 @@ class HTMLCrawler {
       followRedirects: options.followRedirects !== false,
       maxRedirects: options.maxRedirects || 5,
       maxContentLength: options.maxContentLength || 10 * 1024 * 1024,
-      ...options,
+      relevance: options.relevance || settings.relevance,
     };
   }
 
@@ -52,18 +96,31 @@ class HTMLCrawler {
     const normalizedUrl = normalizeUrl(url) || url;
     logInfo(`Fetching page: ${normalizedUrl}`);
     try {
-      const html = await this.fetchHTML(normalizedUrl);
+      const page = await this.fetchPage(normalizedUrl);
+      const html = page.html;
       if (!html || html.length === 0) {
         throw new Error("Empty HTML response received");
       }
       const $ = cheerio.load(html);
+      const canonical = this.extractCanonicalUrl($, normalizedUrl);
+      const structuredData = this.extractEmbeddedData($, normalizedUrl);
+      // Read before extractStructuredContent strips iframes, objects and embeds.
+      const resourceLinks = this.extractResourceLinks($, url);
       const textContent = this.extractStructuredContent($);
-      const relevanceScore = this.calculateContentRelevance(textContent, normalizedUrl);
-      if (relevanceScore < 3) {
-        logWarn(`Page has low credit card relevance (score: ${relevanceScore}): ${normalizedUrl}`);
-        return null;
+      const relevance = this.calculateContentRelevance(textContent, normalizedUrl);
+      if (!relevance.passed) {
+        logWarn(`Page has low credit card relevance (score: ${relevance.score}, threshold: ${relevance.threshold}): ${normalizedUrl}`);
+        return {
+          url: normalizedUrl,
+          timestamp: new Date().toISOString(),
+          contentLength: textContent.fullText.length,
+          relevanceScore: relevance.score,
+          relevance,
+          fetcher: page.fetcher,
+          status: 'rejected'
+        };
       }
-      const links = this.extractLinks($, url);
+      const links = this.removeDuplicateLinks([...this.extractLinks($, url), ...resourceLinks]);
       if (!textContent.fullText || textContent.fullText.length < 50) {
         logWarn(`Page may have minimal content: ${url}`);
       }
@@ -74,100 +131,198 @@ class HTMLCrawler {
       return {
         url: normalizedUrl,
         textContent,
+        structuredData,
         links,
         timestamp: new Date().toISOString(),
         contentLength: textContent.fullText.length,
         linkCount: links.length,
-        relevanceScore,
+        relevanceScore: relevance.score,
+        relevance,
+        fetcher: page.fetcher,
+        encoding: page.encoding,
+        encodingSource: page.encodingSource,
+        canonicalUrl: canonical.url,
+        canonicalSource: canonical.source,
+        contentHash: this.hashContent(textContent.fullText),
         status: 'success'
       };
     } catch (error) {
-      logError(`Failed to crawl page: ${url}`, error);
+      if (error instanceof RobotsDisallowedError || error instanceof CacheMissError) {
+        logWarn(error.message);
+      } else {
+        logError(`Failed to crawl page: ${url}`, error);
+      }
       throw error;
     }
   }
 
-  calculateContentRelevance(textContent, url) {
-    let score = 0;
-    const text = textContent.fullText.toLowerCase();
-    const urlLower = url.toLowerCase();
-    const highPriorityKeywords = [
-      'regalia gold', 'credit card', 'fees', 'charges', 'benefits', 
-      'rewards', 'cashback', 'points', 'eligibility', 'terms', 'conditions'
+  /**
+   * Reads the page's declared canonical URL from <link rel="canonical">,
+   * falling back to og:url. Canonicals pointing to another site are ignored.
+   * @returns {Object} { url, source: 'link'|'og:url'|null }
+   */
+  extractCanonicalUrl($, pageUrl) {
+    const pageHost = new URL(pageUrl).hostname.replace(/^www\./, "");
+    const candidates = [
+      { href: $('link[rel~="canonical"]').first().attr("href"), source: "link" },
+      { href: $('meta[property="og:url"]').first().attr("content"), source: "og:url" },
     ];
-    const mediumPriorityKeywords = [
-      'insurance', 'coverage', 'lounge', 'milestone', 'features', 
-      'offers', 'annual', 'joining', 'waiver'
-    ];
-    if (urlLower.includes('credit') && urlLower.includes('card')) score += 5;
-    if (urlLower.includes('regalia')) score += 8;
-    if (urlLower.includes('gold')) score += 3;
-    highPriorityKeywords.forEach(keyword => {
-      const matches = (text.match(new RegExp(keyword, 'gi')) || []).length;
-      score += matches * 2;
+    for (const { href, source } of candidates) {
+      if (!href || !href.trim()) continue;
+      const resolved = this.resolveUrl(href.trim(), new URL(pageUrl));
+      if (resolved && this.isInternalLink(resolved, pageHost)) {
+        return { url: resolved, source };
+      }
+    }
+    return { url: null, source: null };
+  }
+
+  /**
+   * Collects JSON embedded in the page, before extractStructuredContent strips
+   * the scripts: JSON-LD blocks, Next.js __NEXT_DATA__ (its pageProps), other
+   * application/json scripts such as AEM SPA models, and AEM Core Components
+   * data-cmp-data-layer attributes.
+   * @returns {Array} [{ type: 'json-ld'|'next-data'|'json'|'aem-data-layer', id, data }]
+   */
+  extractEmbeddedData($, pageUrl) {
+    const payloads = [];
+    const add = (type, id, raw) => {
+      const json = String(raw || "")
+        .replace(/^\s*(?:<!--|<!\[CDATA\[)/, "")
+        .replace(/(?:-->|\]\]>)\s*$/, "")
+        .trim();
+      if (!json) return;
+      if (json.length > MAX_EMBEDDED_JSON_CHARS) {
+        logWarn(`Skipping ${type} payload of ${json.length} chars on ${pageUrl}`);
+        return;
+      }
+      try {
+        payloads.push({ type, id: id || null, data: JSON.parse(json) });
+      } catch (error) {
+        logWarn(`Ignoring malformed ${type} JSON on ${pageUrl}: ${error.message}`);
+      }
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      add("json-ld", $(el).attr("id"), $(el).html());
     });
-    mediumPriorityKeywords.forEach(keyword => {
-      const matches = (text.match(new RegExp(keyword, 'gi')) || []).length;
-      score += matches * 1;
+    $('script[type="application/json"]').each((i, el) => {
+      const id = $(el).attr("id");
+      add(id === "__NEXT_DATA__" ? "next-data" : "json", id, $(el).html());
     });
-    const irrelevantKeywords = [
-      'money transfer', 'upi', 'donation', 'remittance', 'forex', 
-      'bill pay', 'recharge', 'fastag', 'demat', 'mutual fund'
-    ];
-    irrelevantKeywords.forEach(keyword => {
-      if (text.includes(keyword)) score -= 3;
+    $("[data-cmp-data-layer]").each((i, el) => {
+      add("aem-data-layer", $(el).attr("id"), $(el).attr("data-cmp-data-layer"));
+    });
+
+    for (const payload of payloads) {
+      if (payload.type === "next-data" && payload.data.props && payload.data.props.pageProps) {
+        payload.data = payload.data.props.pageProps;
+      }
+    }
+    if (payloads.length > 0) {
+      logInfo(`Found ${payloads.length} embedded JSON payloads (${[...new Set(payloads.map(p => p.type))].join(", ")})`);
+    }
+    return payloads;
+  }
+
+  /**
+   * Hash of the page text with case and whitespace folded, so pages that differ
+   * only in markup or tracking parameters compare equal.
+   */
+  hashContent(text) {
+    const folded = String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+    if (!folded) return null;
+    return crypto.createHash("sha256").update(folded).digest("hex");
+  }
+
+  /**
+   * Scores a page against the relevance profile (settings.relevance or the
+   * card's own). Every rule that contributed is listed, so a rejection can be
+   * explained.
+   * @returns {Object} { score, threshold, passed, contributions: [{ type, pattern, matches, points }] }
+   */
+  calculateContentRelevance(textContent, url) {
+    const { threshold, urlPatterns = [], keywords = [], negativeTerms = [] } = this.options.relevance;
+    const text = textContent.fullText;
+    const contributions = [];
+    const add = (type, pattern, matches, points) => {
+      if (points !== 0) contributions.push({ type, pattern: String(pattern), matches, points });
+    };
+
+    urlPatterns.forEach(({ pattern, weight }) => {
+      if (pattern.test(url)) add("url", pattern, 1, weight);
+    });
+    keywords.forEach(({ pattern, weight, once }) => {
+      const matches = countMatches(text, pattern);
+      add("keyword", pattern, matches, (once ? Math.min(matches, 1) : matches) * weight);
     });
-    if (text.includes('.pdf') || text.includes('download')) score += 2;
-    return Math.max(0, score);
+    negativeTerms.forEach(({ pattern, weight }) => {
+      const matches = countMatches(text, pattern);
+      if (matches > 0) add("negative", pattern, matches, -weight);
+    });
+
+    const score = Math.max(0, contributions.reduce((sum, { points }) => sum + points, 0));
+    return {
+      score,
+      threshold,
+      passed: score >= threshold,
+      contributions,
+    };
   }
 
   async fetchHTML(url) {
-    const { withRateLimit } = require('../utils/rateLimiter');
+    const page = await this.fetchPage(url);
+    return page.html;
+  }
+
+  async fetchPage(url) {
     const { validateUrl } = require('../utils/validation');
     let lastError;
     const urlValidation = validateUrl(url);
     if (!urlValidation.isValid) {
       throw new Error(`Invalid URL: ${urlValidation.error}`);
     }
-    const domain = new URL(url).hostname;
+    await assertAllowedByRobots(url);
+    const fetcher = globalFetcherRegistry.forUrl(url);
     for (let attempt = 1; attempt <= this.options.retryAttempts; attempt++) {
       try {
         logInfo(
-          `Fetch attempt ${attempt}/${this.options.retryAttempts} for: ${url}`
+          `Fetch attempt ${attempt}/${this.options.retryAttempts} for: ${url}` +
+            (fetcher.name !== "axios" ? ` (${fetcher.name})` : "")
         );
-        const response = await withRateLimit(domain, async () => {
-          return await axios.get(url, {
-            timeout: this.options.timeout,
-            maxContentLength: this.options.maxContentLength,
-            headers: {
-              "User-Agent": this.options.userAgent,
-              Accept:
-                "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8",
-              "Accept-Language": "en-US,en;q=0.9",
-              "Accept-Encoding": "gzip, deflate, br",
-              "Cache-Control": "no-cache",
-              Pragma: "no-cache",
-            },
-            maxRedirects: this.options.maxRedirects,
-            validateStatus: (status) => status >= 200 && status < 400,
-          });
+        const page = await fetcher.fetch(url, {
+          timeout: this.options.timeout,
+          maxContentLength: this.options.maxContentLength,
+          maxRedirects: this.options.maxRedirects,
+          userAgent: this.options.userAgent,
         });
-        if (!response.data) {
+        if (page.html === undefined) {
+          Object.assign(page, decodeHtml(page.body, page.headers['content-type']));
+        }
+        if (!page.html) {
           throw new Error("Empty response received");
         }
         const { validateHtmlContent } = require('../utils/validation');
-        const contentValidation = validateHtmlContent(response.data);
+        const contentValidation = validateHtmlContent(page.html);
         if (!contentValidation.isValid) {
           throw new Error(`Invalid HTML content: ${contentValidation.error}`);
         }
-        const contentType = response.headers['content-type'] || '';
+        const contentType = page.headers['content-type'] || '';
         if (!contentType.includes('text/html')) {
           logWarn(`Unexpected content type: ${contentType} for ${url}`);
         }
-        logSuccess(`Successfully fetched HTML (${response.data.length} chars)`);
-        return response.data;
+        if (page.encoding && page.encoding !== "utf-8") {
+          logInfo(`Decoded ${url} as ${page.encoding} (from ${page.encodingSource})`);
+        }
+        if (!page.fromCache) {
+          logSuccess(`Successfully fetched HTML (${page.html.length} chars)`);
+        }
+        return page;
       } catch (error) {
         lastError = error;
+        if (error instanceof CacheMissError || error instanceof ValidationError) {
+          throw error;
+        }
         if (error.response) {
           const status = error.response.status;
           if (status === 404) {
@@ -205,7 +360,10 @@ class HTMLCrawler {
 
   extractStructuredContent($) {
     try {
-      $("script, style, noscript, iframe, object, embed, form, nav, footer, aside, .advertisement, .ads").remove();
+      $("style, noscript, iframe, object, embed, form, nav, footer, aside, .advertisement, .ads").remove();
+      // Panels are read before scripts go: some are script templates.
+      const panels = this.extractPanels($);
+      $("script").remove();
       $("*")
         .contents()
         .filter(function () {
@@ -214,7 +372,12 @@ class HTMLCrawler {
         .remove();
       const bodyText =
         $("body").length > 0 ? $("body").text() : $.root().text();
-      const fullText = this.cleanText(bodyText);
+      // Panel content held in attributes or script templates is not part of the DOM text.
+      const detachedText = panels
+        .filter(panel => panel.detached)
+        .map(panel => panel.text)
+        .join(" ");
+      const fullText = this.cleanText(`${bodyText} ${detachedText}`);
       const headings = $("h1,h2,h3,h4,h5,h6")
         .map((i, el) => this.cleanText($(el).text()))
         .get()
@@ -233,51 +396,198 @@ class HTMLCrawler {
         )
         .get()
         .filter(list => list.length > 0);
-      const tables = $("table")
-        .map((i, el) => this.cleanText($(el).text()))
-        .get()
-        .filter(text => text.length > 10);
-      return { fullText, headings, paragraphs, lists, tables };
+      const tables = [...this.extractTables($), ...this.extractDefinitionLists($)];
+      return { fullText, headings, paragraphs, lists, tables, panels };
     } catch (error) {
       logError("Error extracting structured content", error);
-      return { fullText: "", headings: [], paragraphs: [], lists: [], tables: [] };
+      return { fullText: "", headings: [], paragraphs: [], lists: [], tables: [], panels: [] };
     }
   }
 
+  /**
+   * Pairs the title of each tab, accordion and collapsed section with its
+   * content, whether or not it is hidden: ARIA tabs and disclosure buttons
+   * (aria-controls), tab panels labelled by aria-labelledby, Bootstrap collapse
+   * toggles, <details>/<summary>, data-content attributes and <template> or
+   * text/template scripts. Panels whose content is not in the page text
+   * (attributes, scripts) are marked `detached` and appended to it.
+   * @returns {Array} [{ source, title, text, tables, detached }]
+   */
+  extractPanels($) {
+    const panels = [];
+    const seen = new Set();
+    const byId = (id) => (id ? $(`[id="${id.replace(/"/g, '\\"')}"]`).first() : $());
+
+    const addElement = (source, title, $panel) => {
+      if ($panel.length === 0 || seen.has($panel.get(0))) return;
+      seen.add($panel.get(0));
+      const text = this.blockText($, $panel);
+      if (!text) return;
+      panels.push({
+        source,
+        title: this.cleanText(title) || null,
+        text,
+        tables: [...this.extractTables($, $panel), ...this.extractDefinitionLists($, $panel)],
+        detached: false,
+      });
+    };
+    const addHtml = (source, title, html, detached) => {
+      const $content = cheerio.load(String(html || ""));
+      const text = this.blockText($content, $content.root());
+      if (!text) return;
+      panels.push({
+        source,
+        title: this.cleanText(title || $content("h1,h2,h3,h4,h5,h6").first().text()) || null,
+        text,
+        tables: [...this.extractTables($content), ...this.extractDefinitionLists($content)],
+        detached,
+      });
+    };
+
+    $("[aria-controls]").each((i, el) => {
+      const $trigger = $(el);
+      const role = $trigger.attr("role");
+      if (role !== "tab" && $trigger.attr("aria-expanded") === undefined) return;
+      const title = $trigger.attr("aria-label") || $trigger.text();
+      addElement(role === "tab" ? "tab" : "accordion", title, byId($trigger.attr("aria-controls")));
+    });
+    $('[role="tabpanel"][aria-labelledby]').each((i, el) => {
+      addElement("tab", byId($(el).attr("aria-labelledby")).text(), $(el));
+    });
+    $('[data-toggle="collapse"], [data-bs-toggle="collapse"]').each((i, el) => {
+      const $trigger = $(el);
+      const target = $trigger.attr("data-target") || $trigger.attr("data-bs-target") || $trigger.attr("href") || "";
+      if (target.startsWith("#")) addElement("accordion", $trigger.text(), byId(target.slice(1)));
+    });
+    $("details").each((i, el) => {
+      const $content = $(el).clone();
+      const title = $content.children("summary").first().text();
+      $content.children("summary").remove();
+      if (seen.has(el)) return;
+      seen.add(el);
+      const text = this.blockText($, $content);
+      if (text) {
+        panels.push({
+          source: "details",
+          title: this.cleanText(title) || null,
+          text,
+          tables: [...this.extractTables($, $content), ...this.extractDefinitionLists($, $content)],
+          detached: false,
+        });
+      }
+    });
+    // Bootstrap popovers and tooltips keep their hint in data-content too
+    $("[data-content]").not("[data-toggle], [data-bs-toggle]").each((i, el) => {
+      const $el = $(el);
+      const title = $el.attr("data-title") || $el.attr("title") || $el.attr("aria-label") || $el.text();
+      addHtml("data-content", title, $el.attr("data-content"), true);
+    });
+    $('template, script[type="text/template"], script[type="text/x-template"]').each((i, el) => {
+      const $el = $(el);
+      // <template> content is part of the parsed document text; script templates are not.
+      addHtml("template", $el.attr("data-title") || $el.attr("aria-label"), $el.html(), el.tagName === "script");
+    });
+
+    return panels;
+  }
+
+  /**
+   * Reads every <table> into a cell matrix. Cells spanning several rows or
+   * columns are repeated in each slot they cover, so every row has one cell
+   * per column. Rows in <thead>, or leading rows of only <th>, become headers.
+   * @returns {Array} [{ type: 'table', caption, headers: [], rows: [[]] }]
+   */
+  extractTables($, root = null) {
+    const tables = [];
+    (root ? $(root).find("table") : $("table")).each((i, table) => {
+      const trs = $(table)
+        .find("tr")
+        .filter((j, tr) => $(tr).closest("table").get(0) === table)
+        .get();
+      const grid = [];
+      trs.forEach((tr, r) => {
+        grid[r] = grid[r] || [];
+        let c = 0;
+        $(tr)
+          .children("th, td")
+          .each((k, cell) => {
+            while (grid[r][c] !== undefined) c++;
+            const rowspan = Math.min(Math.max(parseInt($(cell).attr("rowspan")) || 1, 1), trs.length - r);
+            const colspan = Math.min(Math.max(parseInt($(cell).attr("colspan")) || 1, 1), 50);
+            const text = this.cleanText($(cell).text());
+            for (let dr = 0; dr < rowspan; dr++) {
+              grid[r + dr] = grid[r + dr] || [];
+              for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = text;
+            }
+            c += colspan;
+          });
+      });
+
+      const width = Math.max(0, ...grid.map(row => row.length));
+      const rows = grid.map(row => Array.from({ length: width }, (_, c) => row[c] || ""));
+      let headerCount = 0;
+      while (
+        headerCount < trs.length &&
+        ($(trs[headerCount]).parent().is("thead") ||
+          $(trs[headerCount]).children("td").length === 0)
+      ) {
+        headerCount++;
+      }
+      const headerRows = rows.slice(0, headerCount);
+      const headers = Array.from({ length: width }, (_, c) =>
+        [...new Set(headerRows.map(row => row[c]).filter(Boolean))].join(" / ")
+      );
+      const body = rows.slice(headerCount).filter(row => row.some(Boolean));
+      if (body.length === 0 && !headers.some(Boolean)) return;
+
+      tables.push({
+        type: "table",
+        caption: this.cleanText($(table).children("caption").text()) || null,
+        headers,
+        rows: body,
+      });
+    });
+    return tables;
+  }
+
+  /**
+   * Reads <dl> lists as two-column tables: one [term, definition] row per <dd>.
+   */
+  extractDefinitionLists($, root = null) {
+    const lists = [];
+    (root ? $(root).find("dl") : $("dl")).each((i, dl) => {
+      const rows = [];
+      let term = "";
+      $(dl)
+        .find("dt, dd")
+        .filter((j, el) => $(el).closest("dl").get(0) === dl)
+        .each((j, el) => {
+          const text = this.cleanText($(el).text());
+          if (el.tagName === "dt") {
+            term = text;
+          } else if (text) {
+            rows.push([term, text]);
+          }
+        });
+      if (rows.length > 0) {
+        lists.push({ type: "dl", caption: null, headers: [], rows });
+      }
+    });
+    return lists;
+  }
+
   extractLinks($, baseUrl) {
     const links = [];
     const baseUrlObj = new URL(baseUrl);
     $("a[href]").each((index, element) => {
       try {
         const $link = $(element);
-        const href = $link.attr("href");
-        const text = $link.text().trim();
-        const title = $link.attr("title") || "";
-        if (
-          !href ||
-          href.startsWith("javascript:") ||
-          href.startsWith("mailto:") ||
-          href.startsWith("tel:") ||
-          href.startsWith("#") ||
-          href === "/"
-        ) {
-          return;
-        }
-        const absoluteUrl = this.resolveUrl(href, baseUrlObj);
-        if (absoluteUrl) {
-          links.push({
-            href: absoluteUrl,
-            text,
-            title,
-            originalHref: href,
-            isInternal: this.isInternalLink(
-              absoluteUrl,
-              baseUrlObj.hostname
-            ),
-            isPDF: this.isPDFLink(absoluteUrl),
-            domain: new URL(absoluteUrl).hostname,
-          });
-        }
+        const link = this.createLink($link.attr("href"), baseUrlObj, {
+          text: $link.text().trim(),
+          title: $link.attr("title") || "",
+          discoveredVia: $link.is("[download]") ? "download" : "anchor",
+        });
+        if (link) links.push(link);
       } catch (error) {
         logWarn(`Skipping malformed link: ${$(element).attr("href")} - ${error.message}`);
       }
@@ -285,6 +595,114 @@ class HTMLCrawler {
     return this.removeDuplicateLinks(links);
   }
 
+  /**
+   * Finds links that are not plain anchors: data-href/data-url style
+   * attributes on buttons, download widgets, window.open()/location calls in
+   * onclick handlers, and <iframe src>, <embed src>, <object data> (often
+   * inline PDF viewers, whose ?file= parameter is followed as well).
+   * Each link's discoveredVia names its source so processLinks can weight it.
+   */
+  extractResourceLinks($, baseUrl) {
+    const links = [];
+    const baseUrlObj = new URL(baseUrl);
+    const add = (element, href, discoveredVia) => {
+      try {
+        const $el = $(element);
+        const link = this.createLink(href, baseUrlObj, {
+          text: this.cleanText($el.text()) || $el.attr("aria-label") || "",
+          title: $el.attr("title") || "",
+          discoveredVia,
+        });
+        if (link) links.push(link);
+      } catch (error) {
+        logWarn(`Skipping malformed ${discoveredVia} link: ${href} - ${error.message}`);
+      }
+    };
+
+    for (const [attribute, discoveredVia] of RESOURCE_LINK_ATTRIBUTES) {
+      $(`[${attribute}]`).each((index, element) => {
+        const value = ($(element).attr(attribute) || "").trim();
+        if (element.tagName === "a" && $(element).attr("href")) return;
+        if (URL_LIKE_VALUE.test(value)) add(element, value, discoveredVia);
+      });
+    }
+
+    $("[onclick]").each((index, element) => {
+      const handler = $(element).attr("onclick");
+      for (const match of handler.matchAll(ONCLICK_URL_PATTERN)) {
+        add(element, match[1] || match[2], "onclick");
+      }
+    });
+
+    for (const [selector, attribute, discoveredVia] of EMBEDDED_RESOURCES) {
+      $(selector).each((index, element) => {
+        const src = $(element).attr(attribute);
+        add(element, src, discoveredVia);
+        for (const viewerTarget of this.viewerTargets(src, baseUrlObj)) {
+          add(element, viewerTarget, discoveredVia);
+        }
+      });
+    }
+
+    return this.removeDuplicateLinks(links);
+  }
+
+  /**
+   * Query parameters of a viewer URL that point at a PDF,
+   * e.g. /pdfjs/web/viewer.html?file=/docs/tnc.pdf.
+   */
+  viewerTargets(src, baseUrlObj) {
+    try {
+      const url = new URL(src, baseUrlObj.href);
+      return [...url.searchParams.values()].filter((value) => /\.pdf(?:$|[?#])/i.test(value));
+    } catch {
+      return [];
+    }
+  }
+
+  createLink(href, baseUrlObj, { text = "", title = "", discoveredVia = "anchor" } = {}) {
+    if (!href) return null;
+    href = href.trim();
+    if (
+      !href ||
+      href.startsWith("javascript:") ||
+      href.startsWith("mailto:") ||
+      href.startsWith("tel:") ||
+      href.startsWith("#") ||
+      href === "/"
+    ) {
+      return null;
+    }
+    const absoluteUrl = this.resolveUrl(href, baseUrlObj);
+    if (!absoluteUrl) return null;
+    return {
+      href: absoluteUrl,
+      text,
+      title,
+      originalHref: href,
+      discoveredVia,
+      isInternal: this.isInternalLink(
+        absoluteUrl,
+        baseUrlObj.hostname
+      ),
+      isPDF: this.isPDFLink(absoluteUrl),
+      domain: new URL(absoluteUrl).hostname,
+    };
+  }
+
+  /**
+   * Text of an element with its block elements (headings, paragraphs, list
+   * items, cells, line breaks) kept apart by spaces, so "<h4>Eligibility</h4>
+   * <p>Age 21-60</p>" reads "Eligibility Age 21-60". The page is not changed.
+   */
+  blockText($, $element) {
+    const $copy = $element.clone();
+    $copy.find(BLOCK_ELEMENTS).each((i, el) => {
+      $(el).before(" ").after(" ");
+    });
+    return this.cleanText($copy.text());
+  }
+
   cleanText(text) {
     if (!text || typeof text !== 'string') return '';
     return text
@@ -356,39 +774,36 @@ class HTMLCrawler {
   async crawlMultiplePages(urls, concurrency = 3) {
     if (!Array.isArray(urls) || urls.length === 0) {
       logWarn("No URLs provided for crawling");
-      return { results: [], errors: [], successCount: 0, errorCount: 0 };
+      return { results: [], rejected: [], errors: [], successCount: 0, rejectedCount: 0, errorCount: 0 };
     }
     logInfo(
       `Starting concurrent crawl of ${urls.length} pages (concurrency: ${concurrency})`
     );
-    const results = [];
-    const errors = [];
-    for (let i = 0; i < urls.length; i += concurrency) {
-      const batch = urls.slice(i, i + concurrency);
-      logInfo(`Processing batch ${Math.floor(i / concurrency) + 1} of ${Math.ceil(urls.length / concurrency)}`);
-      const batchPromises = batch.map(async (url) => {
-        try {
-          return await this.crawlPage(url);
-        } catch (error) {
-          errors.push({ url, error: error.message });
-          logWarn(`Failed to crawl ${url}: ${error.message}`);
-          return null;
-        }
-      });
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults.filter((r) => r !== null));
-      if (i + concurrency < urls.length) {
-        await this.sleep(1000);
+    // Requests are spaced per domain by the rate limiter inside fetchPage.
+    const outcomes = await runPool(urls, async (url) => {
+      try {
+        return { url, page: await this.crawlPage(url) };
+      } catch (error) {
+        logWarn(`Failed to crawl ${url}: ${error.message}`);
+        return { url, error: error.message };
       }
-    }
+    }, concurrency);
+    const results = outcomes.filter((o) => o.page && o.page.status !== "rejected").map((o) => o.page);
+    const rejected = outcomes.filter((o) => o.page && o.page.status === "rejected").map((o) => o.page);
+    const errors = outcomes.filter((o) => o.error).map(({ url, error }) => ({ url, error }));
     if (errors.length > 0) {
       logWarn(`${errors.length} pages failed to crawl`);
     }
     logSuccess(`Successfully crawled ${results.length}/${urls.length} pages`);
+    if (rejected.length > 0) {
+      logWarn(`${rejected.length} pages rejected as irrelevant`);
+    }
     return {
       results,
+      rejected,
       errors,
       successCount: results.length,
+      rejectedCount: rejected.length,
       errorCount: errors.length,
       totalAttempted: urls.length,
     };
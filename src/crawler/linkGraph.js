@@ -0,0 +1,212 @@
+const fs = require("fs/promises");
+const { saveJSON } = require("../utils/fileUtils");
+const { logSuccess } = require("../utils/logger");
+
+// Node fill colours in the DOT export, by outcome
+const STATUS_COLORS = {
+  crawled: "palegreen",
+  "not-crawled": "lightgrey",
+  duplicate: "lightblue",
+  irrelevant: "orange",
+  disallowed: "plum",
+  failed: "tomato",
+  skipped: "khaki",
+  ignored: "grey80",
+  external: "white",
+  "depth-limit": "wheat",
+  sitemap: "lightcyan",
+};
+
+function dotEscape(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\s+/g, " ");
+}
+
+function truncate(text, length = 40) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * How the crawl reached (or did not reach) each URL. Edges are every link
+ * seen on a crawled page or sitemap, with its anchor text and how it was
+ * found; nodes are the frontier entries (category, priority, relevance,
+ * outcome) plus links that never entered the frontier: ignored by a
+ * pattern, on another domain, or beyond maxDepth.
+ */
+class LinkGraph {
+  constructor() {
+    this.edges = new Map();
+    this.nodes = new Map();
+  }
+
+  addEdge(from, to, { text = "", discoveredVia = "anchor", priority = null } = {}) {
+    if (!from || !to) return;
+    const key = `${from} ${to} ${discoveredVia}`;
+    if (!this.edges.has(key)) {
+      this.edges.set(key, { from, to, text, discoveredVia, priority });
+    }
+  }
+
+  /**
+   * Records a URL the frontier does not track. An outcome set earlier is kept.
+   */
+  addNode(url, attributes) {
+    if (url && !this.nodes.has(url)) {
+      this.nodes.set(url, { url, ...attributes });
+    }
+  }
+
+  /**
+   * Records a link offered to the frontier. A link the frontier did not take
+   * becomes a node carrying the reason: the canonical URL of a page already
+   * fetched, or beyond maxDepth. `parent` may be null (e.g. a sitemap entry
+   * whose sitemap is unknown); the node is then recorded without an edge.
+   */
+  addLink(parent, link, frontier) {
+    this.addEdge(parent, link.href, link);
+    if (frontier.has(link.href)) return;
+    const original = frontier.canonicalOf(link.href);
+    this.addNode(link.href, {
+      type: link.type,
+      category: link.category,
+      priority: link.priority,
+      status: original ? "duplicate" : "depth-limit",
+      ...(original && { duplicateOf: original.url }),
+    });
+  }
+
+  /**
+   * Records the links processLinks returned for one parent: queued or already
+   * known links become edges; skipped, duplicate and too-deep links become
+   * edges to nodes carrying the reason.
+   */
+  addLinks(parent, linkResults, frontier) {
+    for (const link of linkResults.allLinks || []) {
+      this.addLink(parent, link, frontier);
+    }
+    for (const link of linkResults.skippedLinks || []) {
+      this.addEdge(parent, link.href, link);
+      this.addNode(link.href, {
+        type: link.isPDF ? "pdf" : "page",
+        status: link.reason,
+        pattern: link.pattern,
+      });
+    }
+  }
+
+  /**
+   * Frontier status as reported in the graph: entries still queued when the
+   * crawl ended were cut off by maxPages/maxPDFs.
+   */
+  static outcome(entry) {
+    return entry.status === "queued" ? "not-crawled" : entry.status;
+  }
+
+  /**
+   * @param {CrawlFrontier} frontier - Frontier of the same crawl
+   * @returns {Object} { nodes, edges, stats }
+   */
+  build(frontier) {
+    const nodes = new Map();
+    for (const entry of frontier.getEntries()) {
+      nodes.set(frontier.get(entry.url).key, {
+        url: entry.url,
+        type: entry.type,
+        category: entry.category,
+        priority: entry.priority,
+        depth: entry.depth,
+        relevanceScore: entry.relevanceScore ?? null,
+        status: LinkGraph.outcome(entry),
+        discoveredVia: entry.discoveredVia,
+        ...(entry.duplicateOf && { duplicateOf: entry.duplicateOf }),
+        ...(entry.reason && { reason: entry.reason }),
+        ...(entry.error && { error: entry.error }),
+      });
+    }
+
+    const idFor = (url) => (frontier.has(url) ? frontier.get(url).key : url);
+    for (const node of this.nodes.values()) {
+      const id = idFor(node.url);
+      if (!nodes.has(id)) nodes.set(id, node);
+    }
+
+    const edges = [];
+    for (const edge of this.edges.values()) {
+      const from = idFor(edge.from);
+      const to = idFor(edge.to);
+      if (!nodes.has(from)) nodes.set(from, { url: edge.from, type: "page", status: "external" });
+      if (!nodes.has(to)) nodes.set(to, { url: edge.to, type: "page", status: "not-crawled" });
+      edges.push({ ...edge, from: nodes.get(from).url, to: nodes.get(to).url });
+    }
+
+    const byStatus = {};
+    for (const node of nodes.values()) {
+      byStatus[node.status] = (byStatus[node.status] || 0) + 1;
+    }
+    return {
+      nodes: Array.from(nodes.values()),
+      edges,
+      stats: { nodes: nodes.size, edges: edges.length, byStatus },
+    };
+  }
+
+  toDot(graph) {
+    const ids = new Map(graph.nodes.map((node, index) => [node.url, `n${index}`]));
+    const lines = [
+      "digraph crawl {",
+      "  rankdir=LR;",
+      '  node [shape=box, style=filled, fontname="Helvetica", fontsize=10];',
+      '  edge [fontname="Helvetica", fontsize=8];',
+    ];
+    for (const node of graph.nodes) {
+      const details = [node.status, node.category, node.priority != null && `p=${node.priority}`, node.relevanceScore != null && `r=${node.relevanceScore}`]
+        .filter(Boolean)
+        .join(" ");
+      const path = truncate(node.url.replace(/^https?:\/\/[^/]+/, "") || "/", 60);
+      const attributes = [
+        `label="${dotEscape(path)}\\n${dotEscape(details)}"`,
+        `fillcolor="${STATUS_COLORS[node.status] || "white"}"`,
+        `tooltip="${dotEscape(node.url)}"`,
+      ];
+      if (node.type === "pdf") attributes.push("shape=note");
+      if (node.discoveredVia === "seed") attributes.push("penwidth=3");
+      lines.push(`  ${ids.get(node.url)} [${attributes.join(", ")}];`);
+    }
+    for (const edge of graph.edges) {
+      const label = [edge.discoveredVia, edge.text && truncate(edge.text)].filter(Boolean).join(": ");
+      const style = edge.discoveredVia === "anchor" ? "" : ", style=dashed";
+      lines.push(`  ${ids.get(edge.from)} -> ${ids.get(edge.to)} [label="${dotEscape(label)}"${style}];`);
+    }
+    lines.push("}");
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Writes <basePath>.json and <basePath>.dot.
+   * @returns {Promise<Object>} { jsonPath, dotPath, stats }
+   */
+  async save(basePath, frontier) {
+    const graph = this.build(frontier);
+    const jsonPath = `${basePath}.json`;
+    const dotPath = `${basePath}.dot`;
+    await saveJSON(jsonPath, graph);
+    await fs.writeFile(dotPath, this.toDot(graph), "utf8");
+    logSuccess(`Link graph saved: ${dotPath} (${graph.stats.nodes} nodes, ${graph.stats.edges} edges)`);
+    return { jsonPath, dotPath, stats: graph.stats };
+  }
+
+  toJSON() {
+    return {
+      edges: Array.from(this.edges.values()),
+      nodes: Array.from(this.nodes.values()),
+    };
+  }
+
+  static fromJSON(state = {}) {
+    const graph = new LinkGraph();
+    for (const edge of state.edges || []) graph.addEdge(edge.from, edge.to, edge);
+    for (const node of state.nodes || []) graph.addNode(node.url, node);
+    return graph;
+  }
+}
+
+module.exports = { LinkGraph };
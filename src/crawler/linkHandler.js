@@ -1,5 +1,6 @@
 const { logInfo, logWarn, logError, logSuccess } = require("../utils/logger");
 const settings = require("../config/settings");
+const { globalProfileRegistry } = require("../profiles");
 
 function isValidUrl(url) {
   try {
@@ -10,15 +11,8 @@ function isValidUrl(url) {
       return false;
     }
     
-    const corruptionPatterns = [
-      /creddit/i, /cardds/i, /traansfer/i, /milllennia/i, 
-      /commmercial/i, /busiiness/i, /ccredit/i, /uusers/i
-    ];
-    
-    for (const pattern of corruptionPatterns) {
-      if (pattern.test(url)) {
-        return false;
-      }
+    if (globalProfileRegistry.forDomain(urlObj.hostname).url.reject.some((pattern) => pattern.test(url))) {
+      return false;
     }
     
     if (url.match(/^(javascript|data|vbscript|file):/i)) {
@@ -33,10 +27,6 @@ function isValidUrl(url) {
       return false;
     }
     
-    if (url.match(/CCredit|immediiate|nationnal|remitnnow|ttime|Cardds|Creddit|ppay|donattions/i)) {
-      return false;
-    }
-    
     if (urlObj.pathname.startsWith(`/${urlObj.hostname}/`)) {
       return false;
     }
@@ -64,20 +54,9 @@ function cleanUrl(url) {
   
   let cleaned = url.trim();
 
-  if (cleaned.includes('CCredit')) cleaned = cleaned.replace(/CCredit/g, 'Credit');
-  if (cleaned.includes('Carrds')) cleaned = cleaned.replace(/Carrds/g, 'Cards');
-  if (cleaned.includes('Creditt')) cleaned = cleaned.replace(/Creditt/g, 'Credit');
-  if (cleaned.includes('CCard')) cleaned = cleaned.replace(/CCard/g, 'Card');
-  if (cleaned.includes('Supeer')) cleaned = cleaned.replace(/Supeer/g, 'Super');
-  if (cleaned.includes('Preemium')) cleaned = cleaned.replace(/Preemium/g, 'Premium');
-  if (cleaned.includes('immediiate')) cleaned = cleaned.replace(/immediiate/g, 'immediate');
-  if (cleaned.includes('nationnal')) cleaned = cleaned.replace(/nationnal/g, 'national');
-  if (cleaned.includes('remitnnow')) cleaned = cleaned.replace(/remitnnow/g, 'remitnow');
-  if (cleaned.includes('ttime')) cleaned = cleaned.replace(/ttime/g, 'time');
-  if (cleaned.includes('Cardds')) cleaned = cleaned.replace(/Cardds/g, 'Cards');
-  if (cleaned.includes('Creddit')) cleaned = cleaned.replace(/Creddit/g, 'Credit');
-  if (cleaned.includes('ppay')) cleaned = cleaned.replace(/ppay/g, 'pay');
-  if (cleaned.includes('donattions')) cleaned = cleaned.replace(/donattions/g, 'donations');
+  for (const { pattern, replacement } of globalProfileRegistry.forUrl(cleaned).url.repairs) {
+    cleaned = cleaned.replace(pattern, replacement);
+  }
   
   if (cleaned.includes('%%20')) cleaned = cleaned.replace(/%%20/g, '%20');
   if (cleaned.includes('%20%20')) cleaned = cleaned.replace(/%20%20/g, '%20');
@@ -117,24 +96,31 @@ function normalizeUrl(url) {
   }
 }
 
-function isIgnored(url) {
+function isIgnored(url, ignorePatterns = settings.ignorePatterns) {
   if (!url || typeof url !== 'string') {
     return true;
   }
   
-  return settings.ignorePatterns.some((pattern) => {
+  return matchIgnorePattern(url, ignorePatterns) !== null;
+}
+
+/**
+ * @returns {RegExp|null} The first ignore pattern matching the URL
+ */
+function matchIgnorePattern(url, ignorePatterns = settings.ignorePatterns) {
+  for (const pattern of ignorePatterns) {
     try {
-      return pattern.test(url);
+      if (pattern.test(url)) return pattern;
     } catch (error) {
       logWarn(`Invalid ignore pattern: ${pattern}`);
-      return false;
     }
-  });
+  }
+  return null;
 }
 
-function getPriorityScore(url) {
+function getPriorityScore(url, priorityPatterns = settings.priorityPatterns) {
   let score = 0;
-  for (const { pattern, weight } of settings.priorityPatterns) {
+  for (const { pattern, weight } of priorityPatterns) {
     try {
       if (pattern.test(url)) {
         score += weight;
@@ -146,8 +132,8 @@ function getPriorityScore(url) {
   return score;
 }
 
-function categorizeLink(url) {
-  for (const { name, pattern } of settings.categories) {
+function categorizeLink(url, categories = settings.categories) {
+  for (const { name, pattern } of categories) {
     try {
       if (pattern.test(url)) return name;
     } catch (error) {
@@ -178,13 +164,31 @@ function isInternalLink(url, baseDomain) {
   }
 }
 
-function processLinks(links, baseDomain, ignorePatterns = []) {
+function skippedLink(link, href, reason, pattern = null) {
+  return {
+    href,
+    text: typeof link === 'object' ? (link.text || '') : '',
+    discoveredVia: typeof link === 'object' ? (link.discoveredVia || 'anchor') : 'anchor',
+    isPDF: isPDFLink(href),
+    reason,
+    pattern,
+  };
+}
+
+function processLinks(links, baseDomain, ignorePatterns = settings.ignorePatterns, options = {}) {
+  const {
+    priorityPatterns = settings.priorityPatterns,
+    categories = settings.categories,
+    sourceWeights = settings.linkSourceWeights,
+  } = options;
+
   if (!Array.isArray(links)) {
     logError("processLinks: links parameter must be an array");
     return { internalLinks: [], pdfLinks: [] };
   }
 
   const processedLinks = [];
+  const skippedLinks = [];
   const errors = [];
   const baseUrl = `https://${baseDomain}`;
 
@@ -236,6 +240,7 @@ function processLinks(links, baseDomain, ignorePatterns = []) {
         urlObj.hash = '';
         finalUrl = urlObj.toString().replace(/\/$/, '');
         if (!urlObj.hostname.includes(baseDomain)) {
+          skippedLinks.push(skippedLink(link, finalUrl, 'external'));
           continue;
         }
       } catch (parseError) {
@@ -243,12 +248,15 @@ function processLinks(links, baseDomain, ignorePatterns = []) {
         continue;
       }
 
-      if (isIgnored(finalUrl)) {
+      const ignoredBy = matchIgnorePattern(finalUrl, ignorePatterns);
+      if (ignoredBy) {
+        skippedLinks.push(skippedLink(link, finalUrl, 'ignored', String(ignoredBy)));
         continue;
       }
 
-      const priority = getPriorityScore(finalUrl);
-      const category = categorizeLink(finalUrl);
+      const discoveredVia = typeof link === 'object' ? (link.discoveredVia || 'anchor') : 'anchor';
+      const priority = getPriorityScore(finalUrl, priorityPatterns) + (sourceWeights[discoveredVia] || 0);
+      const category = categorizeLink(finalUrl, categories);
       const isPDF = isPDFLink(finalUrl);
 
       if (processedLinks.length < 5) {
@@ -259,6 +267,7 @@ function processLinks(links, baseDomain, ignorePatterns = []) {
         href: finalUrl,
         text: typeof link === 'object' ? (link.text || '') : '',
         title: typeof link === 'object' ? (link.title || '') : '',
+        discoveredVia,
         priority,
         category,
         isPDF,
@@ -296,6 +305,7 @@ function processLinks(links, baseDomain, ignorePatterns = []) {
     internalLinks,
     pdfLinks,
     allLinks: uniqueLinks,
+    skippedLinks,
     errors,
     stats: {
       totalProcessed: links.length,
@@ -307,7 +317,7 @@ function processLinks(links, baseDomain, ignorePatterns = []) {
   };
 }
 
-function handleLinks(links, baseDomain, ignorePatterns = []) {
+function handleLinks(links, baseDomain, ignorePatterns = settings.ignorePatterns, options = {}) {
   try {
     if (!links || !Array.isArray(links)) {
       logError("handleLinks: Invalid links parameter");
@@ -319,7 +329,7 @@ function handleLinks(links, baseDomain, ignorePatterns = []) {
       return { internalLinks: [], pdfLinks: [] };
     }
 
-    return processLinks(links, baseDomain, ignorePatterns);
+    return processLinks(links, baseDomain, ignorePatterns, options);
   } catch (error) {
     logError(`handleLinks failed: ${error.message}`);
     return { 
@@ -387,6 +397,8 @@ module.exports = {
   isPDFLink,
   categorizeLink,
   getPriorityScore,
+  isIgnored,
+  matchIgnorePattern,
   cleanUrl,
   isUrlLikelyAccessible
 };
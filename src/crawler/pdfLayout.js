@@ -0,0 +1,197 @@
+const settings = require("../config/settings");
+
+/**
+ * Rebuilds tables from the positioned text items of a PDF page (pdf.js
+ * getTextContent). pdf-parse's linear text reads a schedule of charges row by
+ * row but loses the columns; here items are grouped into lines by baseline,
+ * lines are split into cells at wide horizontal gaps, and runs of multi-cell
+ * lines become tables whose columns are the merged horizontal extents of
+ * their cells. Tables come out in the same shape as HTML tables
+ * (HTMLCrawler.extractTables), plus the page they were found on.
+ */
+class PdfLayoutAnalyzer {
+  constructor(config = settings.pdf.layout) {
+    this.options = {
+      enabled: true,
+      // Baselines closer than this share a line (fraction of font size)
+      lineTolerance: 0.4,
+      // Gaps wider than this split a line into cells (fraction of font size)
+      columnGap: 1.2,
+      // A one-cell line this close below a row continues that row's cell
+      // (wrapped text), in line heights
+      wrapGap: 1.4,
+      // A larger vertical gap ends the table, in line heights
+      rowGap: 3,
+      minRows: 2,
+      maxCaptionLength: 80,
+      ...config,
+    };
+  }
+
+  /**
+   * Identifies the analyzer setup, so text cached with tables (or with other
+   * thresholds) is not reused once they change.
+   */
+  cacheKey() {
+    return this.options.enabled ? JSON.stringify(this.options) : null;
+  }
+
+  /**
+   * @param {Object} textContent - pdf.js text content of one page
+   * @param {number} page - 1-based page number
+   * @returns {Array} [{ type: 'table', caption, headers: [], rows: [[]], page }]
+   */
+  findTables(textContent, page) {
+    if (!this.options.enabled) return [];
+    const lines = this.groupLines(textContent.items);
+    const tables = [];
+    let run = [];
+
+    const flush = (captionLine) => {
+      const table = this.buildTable(run, captionLine, page);
+      if (table) tables.push(table);
+      run = [];
+    };
+
+    let captionLine = null;
+    lines.forEach((line, index) => {
+      const previous = lines[index - 1];
+      const gap = previous ? (previous.y - line.y) / line.size : Infinity;
+
+      if (line.cells.length >= 2) {
+        if (run.length > 0 && gap > this.options.rowGap) flush(captionLine);
+        if (run.length === 0) captionLine = previous && gap <= this.options.rowGap ? previous : null;
+        run.push(line);
+      } else if (run.length > 0 && gap <= this.options.wrapGap) {
+        run.push(line);
+      } else if (run.length > 0) {
+        flush(captionLine);
+      }
+    });
+    if (run.length > 0) flush(captionLine);
+
+    return tables;
+  }
+
+  /**
+   * Groups text items into lines, top to bottom, each split into cells.
+   * @returns {Array} [{ y, size, cells: [{ x0, x1, text }] }]
+   */
+  groupLines(items) {
+    const positioned = items
+      .filter((item) => item.str && item.str.trim())
+      .map((item) => {
+        const size = Math.abs(item.transform[3]) || Math.abs(item.transform[0]) || item.height || 10;
+        const x0 = item.transform[4];
+        return { text: item.str, x0, x1: x0 + (item.width || 0), y: item.transform[5], size };
+      })
+      .sort((a, b) => b.y - a.y || a.x0 - b.x0);
+
+    const lines = [];
+    for (const item of positioned) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= this.options.lineTolerance * Math.max(line.size, item.size)) {
+        line.items.push(item);
+        line.size = Math.max(line.size, item.size);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    }
+
+    return lines.map((line) => ({ y: line.y, size: line.size, cells: this.splitCells(line) }));
+  }
+
+  splitCells(line) {
+    const cells = [];
+    line.items
+      .sort((a, b) => a.x0 - b.x0)
+      .forEach((item) => {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? item.x0 - cell.x1 : Infinity;
+        if (cell && gap <= this.options.columnGap * line.size) {
+          const space = gap > line.size * 0.1 && !/\s$/.test(cell.text) && !/^\s/.test(item.text);
+          cell.text += (space ? " " : "") + item.text;
+          cell.x1 = Math.max(cell.x1, item.x1);
+        } else {
+          cells.push({ x0: item.x0, x1: item.x1, text: item.text });
+        }
+      });
+    return cells.map((cell) => ({ ...cell, text: cell.text.replace(/\s+/g, " ").trim() }));
+  }
+
+  /**
+   * Columns are the horizontal extents of the multi-cell lines' cells, merged
+   * where they overlap; each cell goes to the column it overlaps.
+   */
+  columnsFor(lines) {
+    const spans = lines
+      .filter((line) => line.cells.length >= 2)
+      .flatMap((line) => line.cells.map((cell) => ({ x0: cell.x0, x1: cell.x1 })))
+      .sort((a, b) => a.x0 - b.x0);
+
+    const columns = [];
+    for (const span of spans) {
+      const column = columns[columns.length - 1];
+      if (column && span.x0 <= column.x1) {
+        column.x1 = Math.max(column.x1, span.x1);
+      } else {
+        columns.push({ ...span });
+      }
+    }
+    return columns;
+  }
+
+  columnIndex(columns, cell) {
+    let best = 0;
+    let bestOverlap = -Infinity;
+    columns.forEach((column, index) => {
+      const overlap = Math.min(column.x1, cell.x1) - Math.max(column.x0, cell.x0);
+      if (overlap > bestOverlap) {
+        best = index;
+        bestOverlap = overlap;
+      }
+    });
+    return best;
+  }
+
+  buildTable(lines, captionLine, page) {
+    const columns = this.columnsFor(lines);
+    if (columns.length < 2) return null;
+
+    const rows = [];
+    for (const line of lines) {
+      const isWrap = line.cells.length < 2;
+      if (isWrap && rows.length === 0) continue;
+      const row = isWrap ? rows[rows.length - 1] : new Array(columns.length).fill("");
+      for (const cell of line.cells) {
+        const index = this.columnIndex(columns, cell);
+        row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+      }
+      if (!isWrap) rows.push(row);
+    }
+    if (rows.length < this.options.minRows) return null;
+
+    // A first row of labels only (no figures) above rows with figures is a header
+    const hasDigits = (row) => row.some((cell) => /\d/.test(cell));
+    const headerRow = !hasDigits(rows[0]) && rows.slice(1).some(hasDigits);
+    const caption =
+      captionLine && captionLine.cells.length === 1 && captionLine.cells[0].text.length <= this.options.maxCaptionLength
+        ? captionLine.cells[0].text
+        : null;
+
+    return {
+      type: "table",
+      caption,
+      headers: headerRow ? rows[0] : new Array(columns.length).fill(""),
+      rows: headerRow ? rows.slice(1) : rows,
+      page,
+    };
+  }
+}
+
+const globalLayoutAnalyzer = new PdfLayoutAnalyzer();
+
+module.exports = {
+  PdfLayoutAnalyzer,
+  globalLayoutAnalyzer,
+};
@@ -0,0 +1,147 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const settings = require("../config/settings");
+const { logInfo, logWarn } = require("../utils/logger");
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Turns `tesseract ... tsv` output into text and a mean word confidence
+ * (0-100). Lines and paragraphs keep their breaks.
+ * @returns {Object} { text, confidence }
+ */
+function parseTesseractTsv(tsv) {
+  const lines = [];
+  let currentLine = null;
+  let lastParagraph = null;
+  let confidenceSum = 0;
+  let words = 0;
+
+  for (const row of tsv.split("\n").slice(1)) {
+    const columns = row.split("\t");
+    if (columns.length < 12 || columns[0] !== "5") continue;
+    const [, , block, paragraph, line, , , , , , conf, ...rest] = columns;
+    const word = rest.join("\t").trim();
+    const confidence = parseFloat(conf);
+    if (!word || confidence < 0) continue;
+
+    const lineKey = `${block}.${paragraph}.${line}`;
+    const paragraphKey = `${block}.${paragraph}`;
+    if (!currentLine || currentLine.key !== lineKey) {
+      if (lastParagraph !== null && lastParagraph !== paragraphKey) lines.push("");
+      currentLine = { key: lineKey, words: [] };
+      lines.push(currentLine);
+      lastParagraph = paragraphKey;
+    }
+    currentLine.words.push(word);
+    confidenceSum += confidence;
+    words++;
+  }
+
+  return {
+    text: lines.map((line) => (typeof line === "string" ? line : line.words.join(" "))).join("\n"),
+    confidence: words > 0 ? Math.round((confidenceSum / words) * 10) / 10 : 0,
+  };
+}
+
+/**
+ * Local OCR for PDF pages without a usable text layer: the page is rasterized
+ * with poppler's `pdftoppm` and read with the `tesseract` CLI, both run as
+ * child processes. Nothing leaves the machine. When either program is
+ * missing, OCR is switched off for the rest of the run with one warning.
+ */
+class TesseractOcrEngine {
+  constructor(config = settings.pdf) {
+    this.options = {
+      enableOCR: false,
+      ocrLanguage: "eng",
+      ocrMinChars: 25,
+      ocrDpi: 300,
+      ocrTimeoutMs: 60000,
+      ocrCommands: { pdftoppm: "pdftoppm", tesseract: "tesseract" },
+      ...config,
+    };
+    this.unavailable = null;
+  }
+
+  get enabled() {
+    return Boolean(this.options.enableOCR) && !this.unavailable;
+  }
+
+  /**
+   * Identifies the engine setup, so text cached without OCR (or with another
+   * language) is not reused once OCR is turned on.
+   */
+  cacheKey() {
+    return this.options.enableOCR ? `tesseract:${this.options.ocrLanguage}` : null;
+  }
+
+  /**
+   * Pages whose text layer is shorter than ocrMinChars (e.g. scans).
+   */
+  needsOcr(pageText) {
+    return pageText.replace(/\s+/g, "").length < this.options.ocrMinChars;
+  }
+
+  async run(command, args) {
+    try {
+      return await execFileAsync(command, args, {
+        timeout: this.options.ocrTimeoutMs,
+        maxBuffer: 32 * 1024 * 1024,
+      });
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.unavailable = command;
+        logWarn(`OCR disabled: "${command}" not found (install poppler-utils and tesseract-ocr, or set PDFTOPPM_PATH / TESSERACT_PATH)`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} pdfPath - Local PDF file
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Promise<Object|null>} { text, confidence }, or null when OCR is off or failed
+   */
+  async recognizePage(pdfPath, pageNumber) {
+    if (!this.enabled) return null;
+
+    const { ocrCommands, ocrDpi, ocrLanguage } = this.options;
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "card-ocr-"));
+    try {
+      const imageBase = path.join(directory, "page");
+      await this.run(ocrCommands.pdftoppm, [
+        "-f", String(pageNumber),
+        "-l", String(pageNumber),
+        "-r", String(ocrDpi),
+        "-gray",
+        "-png",
+        "-singlefile",
+        pdfPath,
+        imageBase,
+      ]);
+      const { stdout } = await this.run(ocrCommands.tesseract, [`${imageBase}.png`, "stdout", "-l", ocrLanguage, "tsv"]);
+      const result = parseTesseractTsv(stdout);
+      logInfo(`OCR page ${pageNumber}: ${result.text.length} characters (confidence ${result.confidence})`);
+      return result;
+    } catch (error) {
+      if (!this.unavailable) {
+        logWarn(`OCR failed for page ${pageNumber} of ${pdfPath}: ${error.message}`);
+      }
+      return null;
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+const globalOcrEngine = new TesseractOcrEngine();
+
+module.exports = {
+  TesseractOcrEngine,
+  globalOcrEngine,
+  parseTesseractTsv,
+};
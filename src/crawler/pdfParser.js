@@ -2,8 +2,16 @@ const pdfParse = require("pdf-parse");
 const path = require("path");
 const fs = require("fs/promises");
 const fsSync = require("fs");
-const axios = require("axios");
+const { httpClient } = require("../utils/httpClient");
 const { downloadFile, ensureDirectoryExists } = require("../utils/fileUtils");
+const { assertAllowedByRobots, globalRobotsCache } = require("./robotsTxt");
+const { RobotsDisallowedError, ContentTypeError, SizeLimitError } = require("../utils/errorHandler");
+const { globalHttpCache } = require("../utils/httpCache");
+const { globalPdfStore } = require("../utils/pdfStore");
+const { TesseractOcrEngine, globalOcrEngine } = require("./pdfOcr");
+const { PdfLayoutAnalyzer, globalLayoutAnalyzer } = require("./pdfLayout");
+const settings = require("../config/settings");
+const { withRateLimit } = require("../utils/rateLimiter");
 const {
   logInfo,
   logSuccess,
@@ -11,6 +19,22 @@ const {
   logWarn,
 } = require("../utils/logger");
 
+/**
+ * pdf-parse's own page renderer (text items joined, a newline wherever the
+ * baseline moves), kept here so page texts can be collected one by one.
+ */
+function renderPageText(textContent) {
+  let lastY;
+  let text = "";
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+const PAGE_SEPARATOR = "\n\n";
+
 function cleanPDFUrl(url) {
   if (!url || typeof url !== 'string') return null;
   
@@ -28,11 +52,16 @@ function cleanPDFUrl(url) {
 }
 
 async function checkPDFExists(url) {
+  if (await globalPdfStore.has(url)) return true;
+  if (await globalHttpCache.has(url)) return true;
+  if (globalHttpCache.isOffline()) return false;
   try {
-    await axios.head(url, { 
-      timeout: 10000,
-      validateStatus: (status) => status === 200
-    });
+    await withRateLimit(new URL(url).hostname, () =>
+      httpClient.head(url, {
+        timeout: 10000,
+        validateStatus: (status) => status === 200
+      })
+    );
     return true;
   } catch (error) {
     return false;
@@ -61,13 +90,49 @@ function validatePDFUrl(url) {
   }
 }
 
+/**
+ * Downloads refused by the size limit or the PDF signature check; these reach
+ * the caller instead of being logged as processing failures.
+ */
+function isRejectedDownload(error) {
+  return error instanceof ContentTypeError || error instanceof SizeLimitError;
+}
+
+// OCR engine and layout analyzer per card pdf config, built once so that a
+// missing OCR program is reported once per card rather than once per PDF
+const analyzersByConfig = new WeakMap();
+
+function analyzersFor(config) {
+  if (!analyzersByConfig.has(config)) {
+    const merged = { ...settings.pdf, ...config };
+    analyzersByConfig.set(config, {
+      ocrEngine: new TesseractOcrEngine(merged),
+      layoutAnalyzer: new PdfLayoutAnalyzer(merged.layout),
+    });
+  }
+  return analyzersByConfig.get(config);
+}
+
 class PDFParser {
+  /**
+   * @param {Object} options - options.config is the card's resolved pdf
+   *   settings (see config/manifest); size limit, timeout, OCR and layout
+   *   analysis default to it, and to settings.pdf without it.
+   */
   constructor(options = {}) {
+    const config = { ...settings.pdf, ...options.config };
+    this.config = config;
     this.pdfDirectory = options.pdfDirectory || path.resolve(__dirname, "../../data/pdfs");
-    this.maxSizeBytes = options.maxSizeBytes || 10 * 1024 * 1024; // 10MB
-    this.timeout = options.timeout || 30000;
+    this.maxSizeBytes = options.maxSizeBytes || config.maxSizeBytes;
+    this.timeout = options.timeout || config.timeout || 30000;
     this.retryAttempts = options.retryAttempts || 3;
     this.retryDelayMs = options.retryDelayMs || 2000;
+    this.store = options.store || globalPdfStore;
+    const analyzers = options.config
+      ? analyzersFor(options.config)
+      : { ocrEngine: globalOcrEngine, layoutAnalyzer: globalLayoutAnalyzer };
+    this.ocrEngine = options.ocrEngine || analyzers.ocrEngine;
+    this.layoutAnalyzer = options.layoutAnalyzer || analyzers.layoutAnalyzer;
   }
 
   static async init(options = {}) {
@@ -99,6 +164,8 @@ class PDFParser {
       return null;
     }
 
+    await assertAllowedByRobots(cleanedUrl);
+
     const exists = await checkPDFExists(cleanedUrl);
     if (!exists) {
       logWarn(`⚠️ Skipped PDF: ${cleanedUrl} (file not found or inaccessible)`);
@@ -107,10 +174,14 @@ class PDFParser {
 
     const {
       filename = null,
-      keepFile = false,
-      maxPages = null,
+      keepFile = this.config.keepDownloaded,
+      maxPages = this.config.maxPages || null,
     } = options;
 
+    if (this.store.options.enabled) {
+      return this.parseStoredPDF(cleanedUrl, pdfUrl, { maxPages });
+    }
+
     let filePath = null;
 
     try {
@@ -121,7 +192,14 @@ class PDFParser {
 
       let downloadResult;
       try {
-        downloadResult = await this.downloadWithRetry(cleanedUrl, filePath, pdfUrl);
+        downloadResult = await this.downloadWithRetry(cleanedUrl, pdfUrl, (url) =>
+          downloadFile(url, filePath, {
+            timeout: this.timeout,
+            maxSize: this.maxSizeBytes,
+            expectPdf: true,
+            rateLimit: true,
+          })
+        );
         logSuccess(`PDF downloaded: ${filePath} (${this.formatFileSize(downloadResult.size)})`);
       } catch (downloadError) {
         if (downloadError.response && downloadError.response.status === 404) {
@@ -135,6 +213,8 @@ class PDFParser {
 
       const result = {
         text: parseResult.text,
+        pages: parseResult.pages,
+        tables: parseResult.tables,
         metadata: {
           ...parseResult.metadata,
           sourceUrl: pdfUrl,
@@ -156,10 +236,65 @@ class PDFParser {
       }
       return result;
     } catch (error) {
-      logError(`Failed to process PDF: ${cleanedUrl}`, error);
       if (filePath) {
         await this.deleteFile(filePath);
       }
+      if (isRejectedDownload(error)) throw error;
+      logError(`Failed to process PDF: ${cleanedUrl}`, error);
+      logWarn(`⚠️ Skipped PDF: ${cleanedUrl} (processing failed)`);
+      return null;
+    }
+  }
+
+  /**
+   * Store-backed variant of parsePDF: the PDF is kept in the content-addressed
+   * store and its text is parsed once per content hash.
+   */
+  async parseStoredPDF(cleanedUrl, pdfUrl, { maxPages = null } = {}) {
+    try {
+      logInfo(`Fetching PDF into store: ${cleanedUrl}`);
+
+      let stored;
+      try {
+        stored = await this.downloadWithRetry(cleanedUrl, pdfUrl, (url) =>
+          this.store.fetch(url, { timeout: this.timeout, maxSize: this.maxSizeBytes })
+        );
+      } catch (downloadError) {
+        if (downloadError.response && downloadError.response.status === 404) {
+          logWarn(`⚠️ Skipped PDF: ${cleanedUrl} (file not found or inaccessible)`);
+          return null;
+        }
+        throw downloadError;
+      }
+
+      const parseOptions = { maxPages, ocr: this.ocrEngine.cacheKey(), layout: this.layoutAnalyzer.cacheKey() };
+      let parseResult = await this.store.readText(stored.sha256, parseOptions);
+      const textFromStore = Boolean(parseResult);
+      if (textFromStore) {
+        logInfo(`Using stored text for ${cleanedUrl} (sha256 ${stored.sha256.slice(0, 12)}…)`);
+      } else {
+        parseResult = await this.parsePDFFile(stored.path, parseOptions);
+        await this.store.writeText(stored.sha256, parseOptions, parseResult);
+      }
+
+      return {
+        text: parseResult.text,
+        pages: parseResult.pages,
+        tables: parseResult.tables,
+        metadata: {
+          ...parseResult.metadata,
+          sourceUrl: pdfUrl,
+          cleanedUrl: cleanedUrl,
+          sha256: stored.sha256,
+          filePath: stored.path,
+          fileSize: stored.size,
+          downloaded: stored.downloaded,
+          textFromStore,
+        },
+      };
+    } catch (error) {
+      if (isRejectedDownload(error)) throw error;
+      logError(`Failed to process PDF: ${cleanedUrl}`, error);
       logWarn(`⚠️ Skipped PDF: ${cleanedUrl} (processing failed)`);
       return null;
     }
@@ -184,28 +319,61 @@ class PDFParser {
         parseOptions.max = maxPages;
       }
 
-      const pdfData = await pdfParse(pdfBuffer, parseOptions);
-      
-      if (!pdfData || !pdfData.text) {
+      const pageTexts = [];
+      const pageTables = [];
+      const pdfData = await pdfParse(pdfBuffer, {
+        ...parseOptions,
+        pagerender: (pageData) =>
+          pageData
+            .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+            .then((textContent) => {
+              const index = pageData.pageIndex;
+              pageTexts[index] = renderPageText(textContent);
+              pageTables[index] = this.layoutAnalyzer.findTables(textContent, index + 1);
+              return pageTexts[index];
+            }),
+      });
+
+      const pageDetails = await this.applyOcr(filePath, pageTexts);
+      const tables = pageDetails
+        .filter((detail) => detail.source === "text")
+        .flatMap((detail) => pageTables[detail.page - 1] || []);
+
+      // Pages are cleaned one by one and joined with a blank line; each page
+      // records where its text starts and ends in the joined text.
+      let cleanText = "";
+      const pages = pageDetails.map((detail, index) => {
+        const pageText = this.cleanExtractedText(pageTexts[index]);
+        if (cleanText && pageText) cleanText += PAGE_SEPARATOR;
+        const start = cleanText.length;
+        cleanText += pageText;
+        return { ...detail, start, end: cleanText.length };
+      });
+
+      if (!pdfData || !cleanText) {
         throw new Error("Failed to extract text from PDF");
       }
 
-      const cleanText = this.cleanExtractedText(pdfData.text);
+      const ocrPages = pages.filter((page) => page.source === "ocr").length;
 
       const result = {
         text: cleanText,
+        pages,
+        tables,
         metadata: {
           pages: pdfData.numpages || 0,
           version: pdfData.version || 'unknown',
           info: pdfData.info || {},
           textLength: cleanText.length,
+          tableCount: tables.length,
           parsedAt: new Date().toISOString(),
           parseOptions,
+          ocrPages,
         },
       };
 
       logSuccess(
-        `PDF parsed. Pages: ${result.metadata.pages}, Text length: ${result.metadata.textLength} characters`
+        `PDF parsed. Pages: ${result.metadata.pages}${ocrPages ? ` (${ocrPages} via OCR)` : ""}, Text length: ${result.metadata.textLength} characters${tables.length ? `, Tables: ${tables.length}` : ""}`
       );
 
       return result;
@@ -215,6 +383,29 @@ class PDFParser {
     }
   }
 
+  /**
+   * OCRs pages with little or no text layer and puts the recognized text in
+   * their place (pageTexts is updated in page order).
+   * @returns {Promise<Object[]>} Per page: { page, source: "text"|"ocr", confidence }
+   */
+  async applyOcr(filePath, pageTexts) {
+    const details = [];
+    for (let index = 0; index < pageTexts.length; index++) {
+      const pageText = pageTexts[index] || "";
+      const detail = { page: index + 1, source: "text", confidence: null };
+
+      if (this.ocrEngine.enabled && this.ocrEngine.needsOcr(pageText)) {
+        const recognized = await this.ocrEngine.recognizePage(filePath, index + 1);
+        if (recognized && recognized.text.trim().length > pageText.trim().length) {
+          pageTexts[index] = recognized.text;
+          Object.assign(detail, { source: "ocr", confidence: recognized.confidence });
+        }
+      }
+      details.push(detail);
+    }
+    return details;
+  }
+
   cleanExtractedText(text) {
     if (!text || typeof text !== 'string') return "";
     
@@ -223,7 +414,7 @@ class PDFParser {
       .replace(/[ \t]+/g, " ")
       .replace(/\n{3,}/g, "\n\n")
       .replace(/\f/g, "")
-      .replace(/[\x00-\x1F\x7F]/g, "")
+      .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, "")
       .trim();
   }
 
@@ -257,7 +448,11 @@ class PDFParser {
     return `${size.toFixed(1)} ${units[unitIndex]}`;
   }
 
-  async downloadWithRetry(normalizedUrl, filePath, originalUrl) {
+  /**
+   * Tries the cleaned URL, then the original spellings, moving on after a 404.
+   * @param {Function} download - (url) => Promise, e.g. a file download or store fetch
+   */
+  async downloadWithRetry(normalizedUrl, originalUrl, download) {
     const urlsToTry = [];
 
     if (normalizedUrl) {
@@ -276,18 +471,29 @@ class PDFParser {
     
     for (const url of urlsToTry) {
       attemptCount++;
+      const robots = await globalRobotsCache.check(url);
+      if (!robots.allowed) {
+        logWarn(`Skipping PDF download attempt for ${url}: ${robots.reason}`);
+        continue;
+      }
       try {
         logInfo(`PDF download attempt ${attemptCount}/${urlsToTry.length}: ${url}`);
-        return await downloadFile(url, filePath, {
-          timeout: this.timeout,
-          maxSize: this.maxSizeBytes,
-        });
+        return await download(url);
       } catch (error) {
         lastError = error;
         if (error.response && error.response.status === 404) {
           logWarn(`PDF not found (404) at ${url}${attemptCount < urlsToTry.length ? ', trying next URL' : ''}`);
           continue;
         }
+        // An HTML page in place of the PDF is often a soft 404
+        if (error instanceof ContentTypeError) {
+          logWarn(`${error.message}${attemptCount < urlsToTry.length ? ', trying next URL' : ''}`);
+          continue;
+        }
+        if (error instanceof SizeLimitError) {
+          logWarn(error.message);
+          break;
+        }
         logError(`PDF download failed with non-404 error: ${error.message}`);
         break;
       }
@@ -314,24 +520,20 @@ class PDFParser {
 /**
  * Convenience function for single PDF parsing (matches interface expected by index.js)
  * @param {string} pdfUrl - URL of the PDF to parse
- * @param {Object} options - Parsing options
- * @returns {Promise<string>} - Extracted text content
+ * @param {Object} options - Parsing options; options.config is the card's pdf settings
+ * @returns {Promise<Object|null>} - { text, pages, tables, metadata }; each page is
+ *   { page, start, end, source, confidence }, with start/end offsets into text;
+ *   tables are laid out like HTML tables, with the page they were found on
  */
 async function parsePDF(pdfUrl, options = {}) {
+  const { config, ...parseOptions } = options;
   try {
-    const parser = await PDFParser.init();
-    const result = await parser.parsePDF(pdfUrl, {
-      keepFile: false,
-      ...options
-    });
-    
-    if (result === null) {
-      return null;
-    }
-    
-    return result.text;
+    const parser = await PDFParser.init({ config });
+    return await parser.parsePDF(pdfUrl, parseOptions);
   } catch (error) {
-    logError(`parsePDF function failed for ${pdfUrl}`, error);
+    if (!(error instanceof RobotsDisallowedError) && !isRejectedDownload(error)) {
+      logError(`parsePDF function failed for ${pdfUrl}`, error);
+    }
     throw error;
   }
 }
@@ -0,0 +1,243 @@
+const { httpClient } = require("../utils/httpClient");
+const settings = require("../config/settings");
+const { globalRateLimiter, withRateLimit } = require("../utils/rateLimiter");
+const { RobotsDisallowedError, CacheMissError } = require("../utils/errorHandler");
+const { cachedGet } = require("../utils/httpCache");
+const { logInfo, logWarn } = require("../utils/logger");
+
+/**
+ * Parses robots.txt content into user-agent groups and sitemap URLs.
+ * Consecutive User-agent lines share one group; Allow/Disallow/Crawl-delay
+ * lines apply to the group opened by the preceding User-agent lines.
+ * @param {string} content - Raw robots.txt body
+ * @returns {Object} { groups: [{ agents, rules, crawlDelay }], sitemaps }
+ */
+function parseRobotsTxt(content) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(content || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (!line || separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === "allow" || field === "disallow") {
+      // An empty Disallow means "allow everything" and adds no rule.
+      if (value) current.rules.push({ type: field, path: value });
+    } else if (field === "crawl-delay") {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Picks the groups that name the user-agent token (whole token, any case, as
+ * in RFC 9309), falling back to "*".
+ */
+function selectGroups(robots, userAgent) {
+  const token = userAgent.toLowerCase();
+  const specific = robots.groups.filter((group) => group.agents.includes(token));
+  if (specific.length > 0) return specific;
+  return robots.groups.filter((group) => group.agents.includes("*"));
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Evaluates a path against robots rules using longest-match precedence;
+ * Allow wins over Disallow when both match with the same length.
+ * @returns {Object} { allowed, rule, crawlDelay }
+ */
+function evaluateRobots(robots, userAgent, pathWithQuery) {
+  const groups = selectGroups(robots, userAgent);
+  let matched = null;
+
+  for (const group of groups) {
+    for (const rule of group.rules) {
+      if (!patternToRegExp(rule.path).test(pathWithQuery)) continue;
+      if (
+        !matched ||
+        rule.path.length > matched.path.length ||
+        (rule.path.length === matched.path.length && rule.type === "allow")
+      ) {
+        matched = rule;
+      }
+    }
+  }
+
+  const delays = groups.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+
+  return {
+    allowed: !matched || matched.type === "allow",
+    rule: matched,
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+class RobotsTxtCache {
+  constructor(options = {}) {
+    this.options = {
+      ...settings.robots,
+      requestUserAgent: settings.crawler.userAgent,
+      ...options,
+    };
+    this.entries = new Map();
+  }
+
+  async getRobots(origin) {
+    const cached = this.entries.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < this.options.cacheTtlMs) {
+      return cached.promise;
+    }
+
+    const promise = this.fetchRobots(origin);
+    this.entries.set(origin, { promise, fetchedAt: Date.now() });
+    return promise;
+  }
+
+  /**
+   * Fetches robots.txt. Following RFC 9309, a 4xx response means no
+   * restrictions and a 5xx or network failure means the whole site is off-limits.
+   */
+  async fetchRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const domain = new URL(origin).hostname;
+
+    try {
+      const response = await cachedGet(robotsUrl, (conditionalHeaders) =>
+        withRateLimit(domain, () =>
+          httpClient.get(robotsUrl, {
+            timeout: this.options.timeout,
+            responseType: "arraybuffer",
+            headers: { "User-Agent": this.options.requestUserAgent, ...conditionalHeaders },
+            validateStatus: () => true,
+          })
+        )
+      );
+
+      if (response.status >= 200 && response.status < 300) {
+        const robots = parseRobotsTxt(response.body.toString("utf8"));
+        logInfo(`Loaded robots.txt for ${origin} (${robots.groups.length} groups, ${robots.sitemaps.length} sitemaps)`);
+        return { ...robots, url: robotsUrl, status: response.status, unavailable: false };
+      }
+
+      if (response.status >= 400 && response.status < 500) {
+        logInfo(`No robots.txt for ${origin} (HTTP ${response.status}), crawling unrestricted`);
+        return { groups: [], sitemaps: [], url: robotsUrl, status: response.status, unavailable: false };
+      }
+
+      logWarn(`robots.txt for ${origin} returned HTTP ${response.status}, treating site as disallowed`);
+      return { groups: [], sitemaps: [], url: robotsUrl, status: response.status, unavailable: true };
+    } catch (error) {
+      if (error instanceof CacheMissError) {
+        logInfo(`robots.txt for ${origin} not available offline, crawling unrestricted`);
+        return { groups: [], sitemaps: [], url: robotsUrl, status: null, unavailable: false };
+      }
+      logWarn(`robots.txt for ${origin} unreachable (${error.message}), treating site as disallowed`);
+      return { groups: [], sitemaps: [], url: robotsUrl, status: null, unavailable: true };
+    }
+  }
+
+  /**
+   * Checks whether a URL may be fetched and applies any Crawl-delay to the rate limiter.
+   * @returns {Promise<Object>} { allowed, reason, rule, robotsUrl }
+   */
+  async check(url) {
+    if (!this.options.enabled) {
+      return { allowed: true, reason: null };
+    }
+
+    const urlObj = new URL(url);
+    const robots = await this.getRobots(urlObj.origin);
+
+    if (robots.unavailable) {
+      return {
+        allowed: false,
+        reason: `robots.txt unavailable (${robots.status ? `HTTP ${robots.status}` : "unreachable"}), site treated as disallowed`,
+        rule: null,
+        robotsUrl: robots.url,
+      };
+    }
+
+    const result = evaluateRobots(robots, this.options.userAgent, `${urlObj.pathname}${urlObj.search}`);
+
+    if (result.crawlDelay !== null) {
+      globalRateLimiter.setCrawlDelay(urlObj.hostname, result.crawlDelay * 1000);
+    }
+
+    return {
+      allowed: result.allowed,
+      reason: result.allowed
+        ? null
+        : `Disallowed by robots.txt rule "Disallow: ${result.rule.path}" for user-agent "${this.options.userAgent}"`,
+      rule: result.rule,
+      robotsUrl: robots.url,
+    };
+  }
+
+  async getSitemaps(origin) {
+    const robots = await this.getRobots(origin);
+    return robots.sitemaps;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const globalRobotsCache = new RobotsTxtCache();
+
+/**
+ * Throws RobotsDisallowedError when robots.txt forbids fetching the URL.
+ */
+async function assertAllowedByRobots(url) {
+  const result = await globalRobotsCache.check(url);
+  if (!result.allowed) {
+    throw new RobotsDisallowedError(`Skipped ${url}: ${result.reason}`, {
+      url,
+      reason: result.reason,
+      rule: result.rule,
+      robotsUrl: result.robotsUrl,
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  parseRobotsTxt,
+  evaluateRobots,
+  RobotsTxtCache,
+  globalRobotsCache,
+  assertAllowedByRobots,
+};
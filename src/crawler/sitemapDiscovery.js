@@ -0,0 +1,185 @@
+const { httpClient } = require("../utils/httpClient");
+const cheerio = require("cheerio");
+const zlib = require("zlib");
+const settings = require("../config/settings");
+const { handleLinks, normalizeUrl } = require("./linkHandler");
+const { globalRobotsCache } = require("./robotsTxt");
+const { withRateLimit } = require("../utils/rateLimiter");
+const { cachedGet } = require("../utils/httpCache");
+const { logInfo, logSuccess, logWarn } = require("../utils/logger");
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Parses a sitemap or sitemap index document.
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} { type: 'index'|'urlset'|'unknown', entries: [{ loc, lastmod }] }
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const read = (selector) =>
+    $(selector)
+      .map((i, el) => ({
+        loc: $(el).children("loc").first().text().trim(),
+        lastmod: $(el).children("lastmod").first().text().trim() || null,
+      }))
+      .get()
+      .filter((entry) => entry.loc);
+
+  if ($("sitemapindex").length > 0) {
+    return { type: "index", entries: read("sitemapindex > sitemap") };
+  }
+  if ($("urlset").length > 0) {
+    return { type: "urlset", entries: read("urlset > url") };
+  }
+  return { type: "unknown", entries: [] };
+}
+
+async function fetchSitemap(sitemapUrl, options) {
+  const domain = new URL(sitemapUrl).hostname;
+  const response = await cachedGet(sitemapUrl, (conditionalHeaders) =>
+    withRateLimit(domain, () =>
+      httpClient.get(sitemapUrl, {
+        timeout: options.timeout,
+        responseType: "arraybuffer",
+        maxContentLength: options.maxSizeBytes,
+        headers: {
+          "User-Agent": settings.crawler.userAgent,
+          Accept: "application/xml,text/xml,application/x-gzip,*/*;q=0.8",
+          ...conditionalHeaders,
+        },
+        validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+      })
+    )
+  );
+
+  let body = response.body;
+  if (isGzip(body)) {
+    // maxContentLength only bounds the compressed download
+    try {
+      body = zlib.gunzipSync(body, { maxOutputLength: options.maxSizeBytes });
+    } catch (error) {
+      if (error.code !== "ERR_BUFFER_TOO_LARGE") throw error;
+      throw new Error(`Decompressed sitemap exceeds ${options.maxSizeBytes} bytes`);
+    }
+  }
+  return body.toString("utf8");
+}
+
+/**
+ * Walks robots.txt-listed sitemaps and /sitemap.xml (following sitemap indexes)
+ * and collects page/PDF URLs.
+ * @param {string} seedUrl - Any URL on the target site
+ * @param {Object} options - Sitemap settings (see settings.sitemap)
+ * @returns {Promise<Object>} { entries, sitemaps, errors }
+ */
+async function collectSitemapEntries(seedUrl, options = {}) {
+  const config = { ...settings.sitemap, ...options };
+  const origin = new URL(seedUrl).origin;
+
+  const robotsSitemaps = await globalRobotsCache.getSitemaps(origin);
+  const queue = [...new Set([...robotsSitemaps, `${origin}/sitemap.xml`])];
+  const visited = new Set();
+  const entries = [];
+  const sitemaps = [];
+  const errors = [];
+
+  while (queue.length > 0 && visited.size < config.maxSitemaps && entries.length < config.maxUrls) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const robots = await globalRobotsCache.check(sitemapUrl);
+    if (!robots.allowed) {
+      errors.push({ url: sitemapUrl, error: robots.reason });
+      continue;
+    }
+
+    try {
+      const parsed = parseSitemap(await fetchSitemap(sitemapUrl, config));
+      sitemaps.push({ url: sitemapUrl, type: parsed.type, entries: parsed.entries.length });
+
+      if (parsed.type === "index") {
+        queue.push(...parsed.entries.map((entry) => entry.loc));
+        continue;
+      }
+
+      for (const entry of parsed.entries) {
+        if (entries.length >= config.maxUrls) break;
+        entries.push({ ...entry, sitemap: sitemapUrl });
+      }
+    } catch (error) {
+      const status = error.response ? `HTTP ${error.response.status}` : error.message;
+      if (!error.response || error.response.status !== 404) {
+        logWarn(`Failed to read sitemap ${sitemapUrl}: ${status}`);
+      }
+      errors.push({ url: sitemapUrl, error: status });
+    }
+  }
+
+  return { entries, sitemaps, errors };
+}
+
+/**
+ * Discovers candidate links from the site's sitemaps, filtered and scored the
+ * same way as anchor links and marked with discoveredVia: "sitemap".
+ * @param {Object} cardConfig - Resolved card config (see config/manifest)
+ * @returns {Promise<Object>} { links, stats }
+ */
+async function discoverSitemapLinks(cardConfig) {
+  const config = { ...settings.sitemap, ...cardConfig.sitemap };
+  const { entries, sitemaps, errors } = await collectSitemapEntries(cardConfig.cardUrl, config);
+
+  const entryByUrl = new Map();
+  for (const entry of entries) {
+    entryByUrl.set(normalizeUrl(entry.loc) || entry.loc, entry);
+  }
+
+  const linkResults = handleLinks(
+    entries.map((entry) => ({ href: entry.loc, text: "", title: "", discoveredVia: "sitemap" })),
+    cardConfig.baseDomain,
+    cardConfig.ignorePatterns,
+    {
+      priorityPatterns: cardConfig.priorityPatterns,
+      categories: cardConfig.categories,
+      sourceWeights: cardConfig.linkSourceWeights,
+    }
+  );
+
+  const links = (linkResults.allLinks || [])
+    .filter((link) => link.priority >= config.minPriority)
+    .sort((a, b) => b.priority - a.priority)
+    .slice(0, config.maxCandidates)
+    .map((link) => {
+      const entry = entryByUrl.get(normalizeUrl(link.href) || link.href);
+      return {
+        ...link,
+        sitemap: entry ? entry.sitemap : null,
+        lastmod: entry ? entry.lastmod : null,
+      };
+    });
+
+  if (sitemaps.length > 0) {
+    logSuccess(`Sitemaps read: ${sitemaps.length}, URLs listed: ${entries.length}, candidates kept: ${links.length}`);
+  } else {
+    logInfo(`No sitemap found for ${new URL(cardConfig.cardUrl).origin}`);
+  }
+
+  return {
+    links,
+    stats: {
+      sitemapsRead: sitemaps,
+      urlsListed: entries.length,
+      candidates: links.length,
+      errors,
+    },
+  };
+}
+
+module.exports = {
+  parseSitemap,
+  collectSitemapEntries,
+  discoverSitemapLinks,
+};
@@ -1,12 +1,28 @@
 const path = require("path");
+const { parseArgs } = require("util");
 const settings = require("./config/settings");
+const { loadManifest, resolveCardConfig } = require("./config/manifest");
+const { runBatch } = require("./runner/batchRunner");
+const { RunCheckpoint, generateRunId } = require("./runner/runCheckpoint");
+const { globalHttpCache } = require("./utils/httpCache");
+const { globalPdfStore } = require("./utils/pdfStore");
+const { globalProfileRegistry } = require("./profiles");
+const { globalCookieSession } = require("./utils/cookieJar");
+const { startRecording, startReplay, stopFixtures } = require("./utils/fixtureBundle");
 const { crawlPage } = require("./crawler/htmlCrawler");
+const { globalFetcherRegistry } = require("./crawler/fetchers");
 const { handleLinks } = require("./crawler/linkHandler");
+const { CrawlFrontier } = require("./crawler/crawlFrontier");
+const { LinkGraph } = require("./crawler/linkGraph");
+const { globalRateLimiter } = require("./utils/rateLimiter");
+const { runPool } = require("./utils/workerPool");
+const { discoverSitemapLinks } = require("./crawler/sitemapDiscovery");
 const { parsePDF } = require("./crawler/pdfParser");
-const { ensureDirectoryExists, saveJSON } = require("./utils/fileUtils");
+const { ensureDirectoryExists, saveJSON, formatFileSize } = require("./utils/fileUtils");
 const CardDataParser = require("./parser/cardDataParser");
 const CardDataValidator = require("./validator/cardDataValidator");
 const CardDataAggregator = require("./aggregator/cardDataAggregator");
+const { RobotsDisallowedError, ContentTypeError, SizeLimitError } = require("./utils/errorHandler");
 const {
   logInfo,
   logSuccess,
@@ -15,123 +31,319 @@ const {
   logSection,
   logStart,
   logComplete,
-  logProgress,
   logTable,
 } = require("./utils/logger");
 
-async function extractCardData() {
+/**
+ * Runs the crawl → parse → validate → save pipeline for one card.
+ * With options.runId, progress is checkpointed after every source and a
+ * checkpoint left by an interrupted run with the same id is resumed.
+ * @param {Object} cardConfig - Resolved card config (see config/manifest)
+ * @param {Object} options - { runId }
+ * @returns {Promise<Object>} { outputPath, data }
+ */
+async function extractCardData(cardConfig = resolveCardConfig(), options = {}) {
   const startTime = Date.now();
-  logStart("Structured Card Data Extraction");
+  logStart(`Structured Card Data Extraction: ${cardConfig.id}`);
 
   try {
-    const parser = new CardDataParser();
-    const validator = new CardDataValidator();
-    const aggregator = new CardDataAggregator();
+    // URL repairs follow the card's profile on its domain, including one set by the manifest.
+    globalProfileRegistry.setDomainProfile(cardConfig.baseDomain, cardConfig.profile.name);
+    for (const [domain, fetcher] of Object.entries(cardConfig.fetchers || {})) {
+      globalFetcherRegistry.setDomainFetcher(domain, fetcher);
+    }
+    for (const [domain, steps] of Object.entries(cardConfig.preflight || {})) {
+      globalCookieSession.setPreflight(domain, steps);
+    }
 
-    logSection("Crawling Main Page");
-    const mainPageData = await crawlPage(settings.cardUrl);
+    const parser = new CardDataParser({ profile: cardConfig.profile, nameKeywords: cardConfig.nameKeywords });
+    const validator = new CardDataValidator({ nameKeywords: cardConfig.nameKeywords });
+    const checkpoint = options.runId ? new RunCheckpoint(options.runId) : null;
+    const saved = checkpoint ? await checkpoint.loadCard(cardConfig.id) : null;
 
-    if (!mainPageData || !mainPageData.links) {
-      throw new Error("Failed to extract data from main page");
-    }
+    let aggregator = new CardDataAggregator();
+    let frontier = new CrawlFrontier({ maxDepth: cardConfig.crawler.maxDepth });
+    let linkGraph = new LinkGraph();
+    let skippedUrls = [];
+    let rejectedPages = [];
+    let sitemapStats = null;
+    let pagesCrawled = 0;
+    let pdfsProcessed = 0;
 
-    logInfo("Parsing main page data...");
-    const mainPageCardData = parser.parsePDF(mainPageData.textContent.fullText, settings.cardUrl);
-    aggregator.addSourceData(mainPageCardData, 'html', settings.cardUrl);
-    logSuccess(`Main page parsed: ${Object.keys(mainPageCardData).filter(k => mainPageCardData[k] !== null).length} fields extracted`);
-
-    logSection("Processing Links");
-    const linkResults = handleLinks(
-      mainPageData.links,
-      settings.baseDomain,
-      settings.ignorePatterns
-    );
-
-    if (!linkResults || (!linkResults.internalLinks && !linkResults.pdfLinks)) {
-      logError("No valid links found to process");
-      return;
-    }
+    const saveCheckpoint = (status = "in-progress", details = {}) => {
+      if (!checkpoint) return Promise.resolve();
+      return checkpoint.saveCard(cardConfig.id, {
+        cardUrl: cardConfig.cardUrl,
+        status,
+        ...details,
+        frontier: frontier.toJSON(),
+        linkGraph: linkGraph.toJSON(),
+        aggregator: aggregator.toJSON(),
+        skippedUrls,
+        rejectedPages,
+        sitemapStats,
+        pagesCrawled,
+        pdfsProcessed,
+      });
+    };
+
+    const recordSkip = (entry, error) => {
+      frontier.setStatus(entry, "disallowed", { reason: error.details.reason });
+      skippedUrls.push({ url: entry.url, type: entry.type, reason: error.details.reason });
+    };
 
-    const { internalLinks, pdfLinks } = linkResults;
+    // Embedded page JSON is added ahead of the page text, so its values win
+    // for fields both provide. The raw payloads are kept on the source.
+    const addStructuredSource = (page, url, meta) => {
+      if (!page.structuredData || page.structuredData.length === 0) return;
+      parser.reset();
+      const structuredCardData = parser.parseStructuredData(page.structuredData, url);
+      aggregator.addSourceData(structuredCardData, 'structured-data', url, {
+        ...meta,
+        payloads: page.structuredData,
+      });
+      parser.reset();
+    };
 
-    logTable("Link Processing Results", {
-      "Total links found": mainPageData.links.length,
-      "Internal pages": internalLinks.length,
-      "PDF documents": pdfLinks.length,
-      "Links processed": linkResults.stats?.validLinks || 0,
-    });
+    const enqueueLinks = (links, parentUrl, parentDepth) => {
+      const linkResults = handleLinks(
+        links,
+        cardConfig.baseDomain,
+        cardConfig.ignorePatterns,
+        {
+          priorityPatterns: cardConfig.priorityPatterns,
+          categories: cardConfig.categories,
+          sourceWeights: cardConfig.linkSourceWeights,
+        }
+      );
+      const queued = frontier.addAll(linkResults.allLinks || [], {
+        depth: parentDepth + 1,
+        parent: parentUrl,
+      });
+      linkGraph.addLinks(parentUrl, linkResults, frontier);
+      return { linkResults, queued };
+    };
 
-    logSection("Crawling Internal Pages");
-    
-    if (internalLinks.length > 0) {
-      const maxPages = Math.min(internalLinks.length, settings.crawler.maxPages);
-      const pagesToCrawl = internalLinks.slice(0, maxPages);
+    if (saved) {
+      logSection("Resuming From Checkpoint");
+      frontier = CrawlFrontier.fromJSON(saved.frontier);
+      linkGraph = LinkGraph.fromJSON(saved.linkGraph);
+      aggregator = CardDataAggregator.fromJSON(saved.aggregator);
+      ({ skippedUrls, sitemapStats, pagesCrawled, pdfsProcessed } = saved);
+      rejectedPages = saved.rejectedPages || [];
 
-      logInfo(`Processing ${pagesToCrawl.length} internal pages (limited from ${internalLinks.length})`);
+      const interrupted = frontier.requeueInProgress();
+      pagesCrawled -= interrupted.filter(entry => entry.type === "page").length;
+      pdfsProcessed -= interrupted.filter(entry => entry.type === "pdf").length;
 
-      for (let i = 0; i < pagesToCrawl.length; i++) {
-        const link = pagesToCrawl[i];
+      logInfo(`Restored ${aggregator.getSources().length} sources, ${frontier.queue.length} queued URLs (${interrupted.length} interrupted) from run ${options.runId}`);
+    } else {
+      logSection("Crawling Main Page");
+      const mainPageData = await crawlPage(cardConfig.cardUrl, { relevance: cardConfig.relevance });
+
+      if (mainPageData && mainPageData.status === "rejected") {
+        const { score, threshold } = mainPageData.relevance;
+        throw new Error(`Main page scored ${score} for relevance (threshold ${threshold}); adjust the card's relevance settings`);
+      }
+      if (!mainPageData || !mainPageData.links) {
+        throw new Error("Failed to extract data from main page");
+      }
+
+      const mainEntry = frontier.markVisited(cardConfig.cardUrl, { depth: 0 });
+      frontier.registerPage(mainEntry, mainPageData);
+      frontier.setStatus(mainEntry, "crawled", { relevanceScore: mainPageData.relevanceScore });
+
+      logInfo("Parsing main page data...");
+      addStructuredSource(mainPageData, cardConfig.cardUrl, { depth: 0, parent: null });
+      const mainPageCardData = parser.parsePDF(mainPageData.textContent.fullText, cardConfig.cardUrl, {
+        tables: mainPageData.textContent.tables,
+        panels: mainPageData.textContent.panels,
+      });
+      aggregator.addSourceData(mainPageCardData, 'html', cardConfig.cardUrl, {
+        depth: 0,
+        parent: null,
+        encoding: mainPageData.encoding,
+        canonicalUrl: mainPageData.canonicalUrl,
+        aliases: mainEntry.aliases || [],
+      });
+      logSuccess(`Main page parsed: ${Object.keys(mainPageCardData).filter(k => mainPageCardData[k] !== null).length} fields extracted`);
+
+      logSection("Processing Links");
+      const { linkResults } = enqueueLinks(mainPageData.links, cardConfig.cardUrl, 0);
+
+      logTable("Link Processing Results", {
+        "Total links found": mainPageData.links.length,
+        "Internal pages": linkResults.internalLinks.length,
+        "PDF documents": linkResults.pdfLinks.length,
+        "Links processed": linkResults.stats?.validLinks || 0,
+        "Max crawl depth": frontier.maxDepth,
+      });
+
+      if (cardConfig.sitemap.enabled) {
+        logSection("Discovering Sitemap Links");
         try {
-          logProgress("Crawling pages", i + 1, pagesToCrawl.length);
-          
-          const page = await crawlPage(link.href);
-          if (!page) {
-            logWarn(`Skipping irrelevant page: ${link.href}`);
-            continue;
-          }
-          
-          parser.reset();
-          const pageCardData = parser.parsePDF(page.textContent.fullText, link.href);
-          aggregator.addSourceData(pageCardData, 'html', link.href);
-          
-          logSuccess(`Page parsed: ${link.href} (${Object.keys(pageCardData).filter(k => pageCardData[k] !== null).length} fields)`);
-
-          if (i < pagesToCrawl.length - 1) {
-            await sleep(settings.crawler.requestDelayMs);
+          const { links: sitemapLinks, stats } = await discoverSitemapLinks(cardConfig);
+          let queuedFromSitemap = 0;
+          for (const link of sitemapLinks) {
+            if (frontier.add(link, { depth: 1, parent: link.sitemap })) queuedFromSitemap++;
+            linkGraph.addNode(link.sitemap, { type: "sitemap", status: "sitemap" });
+            linkGraph.addLink(link.sitemap, link, frontier);
           }
+          sitemapStats = { ...stats, queued: queuedFromSitemap };
+          logInfo(`Queued ${queuedFromSitemap} new links from sitemaps (${sitemapLinks.length - queuedFromSitemap} already known or too deep)`);
         } catch (err) {
-          logError(`Failed to crawl internal link: ${link.href}`, err);
+          logWarn(`Sitemap discovery failed: ${err.message}`);
+          sitemapStats = { error: err.message };
         }
       }
+
+      await saveCheckpoint();
     }
 
-    logSection("Processing PDF Documents");
-    
-    if (pdfLinks.length > 0) {
-      const maxPDFs = Math.min(pdfLinks.length, settings.crawler.maxPDFs);
-      const pdfsToProcess = pdfLinks.slice(0, maxPDFs);
+    logSection("Crawling Pages and PDFs");
 
-      logInfo(`Processing ${pdfsToProcess.length} PDF documents (limited from ${pdfLinks.length})`);
+    const { maxPages, maxPDFs } = cardConfig.crawler;
+    const concurrency = Math.max(1, cardConfig.crawler.concurrency || 1);
+    // requestDelayMs holds on every host the card fetches from, e.g. a
+    // separate PDF or CDN subdomain, not only the card page's
+    const applyRequestDelay = (url) =>
+      globalRateLimiter.setMinDelay(new URL(url).hostname, cardConfig.crawler.requestDelayMs);
+    applyRequestDelay(cardConfig.cardUrl);
 
-      for (let i = 0; i < pdfsToProcess.length; i++) {
-        const pdfLink = pdfsToProcess[i];
-        try {
-          logProgress("Parsing PDFs", i + 1, pdfsToProcess.length);
-          
-          const text = await parsePDF(pdfLink.href, {
-            maxPages: settings.pdf.maxPages || null,
+    const runJob = async (entry) => {
+      try {
+        applyRequestDelay(entry.url);
+        if (entry.type === "pdf") {
+          logInfo(`Parsing PDF (depth ${entry.depth}): ${entry.url}`);
+          const pdf = await parsePDF(entry.url, {
+            maxPages: cardConfig.pdf.maxPages || null,
+            config: cardConfig.pdf,
           });
-          
-          if (text === null) {
-            logWarn(`Skipped PDF: ${pdfLink.href} (not found or inaccessible)`);
-            continue;
-          }
-          
-          parser.reset();
-          const pdfCardData = parser.parsePDF(text, pdfLink.href);
-          aggregator.addSourceData(pdfCardData, 'pdf', pdfLink.href);
-          
-          logSuccess(`PDF parsed: ${pdfLink.href} (${Object.keys(pdfCardData).filter(k => pdfCardData[k] !== null).length} fields)`);
-
-          if (i < pdfsToProcess.length - 1) {
-            await sleep(settings.crawler.requestDelayMs);
-          }
-        } catch (err) {
-          logError(`Failed to parse PDF: ${pdfLink.href}`, err);
+          return { entry, pdf };
+        }
+        logInfo(`Crawling page (depth ${entry.depth}): ${entry.url}`);
+        return { entry, page: await crawlPage(entry.url, { relevance: cardConfig.relevance }) };
+      } catch (error) {
+        return { entry, error };
+      }
+    };
+
+    const applyPageResult = ({ entry, page, error }) => {
+      if (error) {
+        if (error instanceof RobotsDisallowedError) {
+          recordSkip(entry, error);
+          return;
         }
+        frontier.setStatus(entry, "failed", { error: error.message });
+        logError(`Failed to crawl internal link: ${entry.url}`, error);
+        return;
+      }
+
+      if (page.status === "rejected") {
+        logWarn(`Skipping irrelevant page: ${entry.url}`);
+        frontier.setStatus(entry, "irrelevant", { relevanceScore: page.relevanceScore });
+        rejectedPages.push({
+          url: entry.url,
+          depth: entry.depth,
+          parent: entry.parent,
+          score: page.relevance.score,
+          threshold: page.relevance.threshold,
+          contributions: page.relevance.contributions,
+        });
+        return;
+      }
+
+      const original = frontier.registerPage(entry, page);
+      if (original) {
+        aggregator.addAlias(original.url, entry.url);
+        logInfo(`Duplicate of ${original.url} (${entry.duplicateReason}), not parsed again: ${entry.url}`);
+        return;
+      }
+
+      addStructuredSource(page, entry.url, { depth: entry.depth, parent: entry.parent });
+      parser.reset();
+      const pageCardData = parser.parsePDF(page.textContent.fullText, entry.url, {
+        tables: page.textContent.tables,
+        panels: page.textContent.panels,
+      });
+      aggregator.addSourceData(pageCardData, 'html', entry.url, {
+        depth: entry.depth,
+        parent: entry.parent,
+        encoding: page.encoding,
+        canonicalUrl: page.canonicalUrl,
+        aliases: entry.aliases || [],
+      });
+      frontier.setStatus(entry, "crawled", { relevanceScore: page.relevanceScore });
+
+      const { queued } = enqueueLinks(page.links, entry.url, entry.depth);
+
+      logSuccess(`Page parsed: ${entry.url} (${Object.keys(pageCardData).filter(k => pageCardData[k] !== null).length} fields, ${queued.length} new links queued)`);
+    };
+
+    const applyPdfResult = ({ entry, pdf, error }) => {
+      if (error) {
+        if (error instanceof RobotsDisallowedError) {
+          logWarn(error.message);
+          recordSkip(entry, error);
+          return;
+        }
+        frontier.setStatus(entry, "failed", { error: error.message });
+        if (error instanceof ContentTypeError || error instanceof SizeLimitError) {
+          logWarn(`Rejected PDF: ${error.message}`);
+          return;
+        }
+        logError(`Failed to parse PDF: ${entry.url}`, error);
+        return;
+      }
+
+      if (pdf === null) {
+        logWarn(`Skipped PDF: ${entry.url} (not found or inaccessible)`);
+        frontier.setStatus(entry, "skipped");
+        return;
       }
+
+      parser.reset();
+      const pdfCardData = parser.parsePDF(pdf.text, entry.url, { pages: pdf.pages, tables: pdf.tables });
+      aggregator.addSourceData(pdfCardData, 'pdf', entry.url, {
+        depth: entry.depth,
+        parent: entry.parent,
+        pages: pdf.pages,
+        provenance: parser.getProvenance(),
+      });
+      frontier.setStatus(entry, "crawled");
+
+      logSuccess(`PDF parsed: ${entry.url} (${Object.keys(pdfCardData).filter(k => pdfCardData[k] !== null).length} fields)`);
+    };
+
+    // Each frontier level is fetched concurrently. A result is applied (and
+    // checkpointed) as soon as every job ahead of it in frontier order has
+    // been, so sources and queued links do not depend on which job finished
+    // first. Jobs not applied yet stay in-progress and are requeued on resume.
+    let jobs;
+    while ((jobs = frontier.takeLevel({ page: maxPages - pagesCrawled, pdf: maxPDFs - pdfsProcessed })).length > 0) {
+      const pageJobs = jobs.filter(entry => entry.type === "page").length;
+      pagesCrawled += pageJobs;
+      pdfsProcessed += jobs.length - pageJobs;
+      logInfo(`Depth ${jobs[0].depth}: ${pageJobs} pages, ${jobs.length - pageJobs} PDFs (concurrency: ${concurrency})`);
+
+      const results = new Array(jobs.length);
+      let nextResult = 0;
+      await runPool(jobs, async (entry, index) => {
+        results[index] = await runJob(entry);
+        while (nextResult < jobs.length && results[nextResult]) {
+          const result = results[nextResult++];
+          if (result.entry.type === "pdf") {
+            applyPdfResult(result);
+          } else {
+            applyPageResult(result);
+          }
+          await saveCheckpoint();
+        }
+      }, concurrency);
     }
 
+    logInfo(`Crawled ${pagesCrawled} internal pages (limit: ${maxPages}) and ${pdfsProcessed} PDFs (limit: ${maxPDFs})`);
+
     logSection("Aggregating Data");
     aggregator.cleanData();
     const finalCardData = aggregator.getCardData();
@@ -152,7 +364,8 @@ async function extractCardData() {
 
     logSection("Compiling Results");
     const finalData = {
-      cardUrl: settings.cardUrl,
+      cardId: cardConfig.id,
+      cardUrl: cardConfig.cardUrl,
       extractionMetadata: {
         extractedAt: new Date().toISOString(),
         processingTimeMs: Date.now() - startTime,
@@ -165,13 +378,19 @@ async function extractCardData() {
         },
         completeness: completenessReport,
         settings: {
-          baseDomain: settings.baseDomain,
-          maxPages: settings.crawler.maxPages,
-          maxPDFs: settings.crawler.maxPDFs,
-        }
+          baseDomain: cardConfig.baseDomain,
+          maxDepth: cardConfig.crawler.maxDepth,
+          maxPages: cardConfig.crawler.maxPages,
+          maxPDFs: cardConfig.crawler.maxPDFs,
+        },
+        skippedUrls,
+        rejectedPages,
+        sitemap: sitemapStats,
       },
       cardData: finalCardData,
+      provenance: aggregator.getProvenance(),
       sources: aggregator.getSources(),
+      crawl: frontier.getSummary(),
       validationDetails: {
         errors: validationResult.errors,
         warnings: validationResult.warnings
@@ -179,13 +398,19 @@ async function extractCardData() {
     };
 
     logSection("Saving Results");
-    const outputDir = path.join(__dirname, "../data/output");
+    const outputDir = path.resolve(__dirname, "..", cardConfig.outputDir);
     await ensureDirectoryExists(outputDir);
 
-    const outputFilename = generateOutputFilename(settings.cardUrl);
+    const outputFilename = generateOutputFilename(cardConfig.id);
     const outputPath = path.join(outputDir, outputFilename);
+
+    if (settings.output.linkGraph) {
+      const graph = await linkGraph.save(outputPath.replace(/\.json$/, ".graph"), frontier);
+      finalData.extractionMetadata.linkGraph = graph;
+    }
     
     await saveJSON(outputPath, finalData);
+    await saveCheckpoint("completed", { outputPath });
 
     const duration = Date.now() - startTime;
     logComplete("Structured Card Data Extraction", duration);
@@ -198,6 +423,9 @@ async function extractCardData() {
       "Data completeness": `${completenessReport.completenessPercentage.toFixed(1)}%`,
       "Validation score": `${validationResult.score.toFixed(1)}/100`,
       "Sources processed": aggregator.getSources().length,
+      "Skipped (robots.txt)": skippedUrls.length,
+      "Rejected (low relevance)": rejectedPages.length,
+      "Duplicate pages": frontier.getSummary().byStatus.duplicate || 0,
       "Processing time": `${(duration / 1000).toFixed(2)} seconds`,
     });
 
@@ -206,30 +434,20 @@ async function extractCardData() {
     }
 
     logSuccess(`Structured data extraction completed successfully!`);
-    
+
+    return { outputPath, data: finalData };
   } catch (error) {
     const duration = Date.now() - startTime;
-    logError("Fatal error during extraction", error);
+    logError(`Fatal error during extraction of ${cardConfig.id}`, error);
     logError(`Extraction failed after ${(duration / 1000).toFixed(2)} seconds`);
-    process.exit(1);
+    throw error;
   }
 }
 
-function generateOutputFilename(url) {
-  try {
-    const urlObj = new URL(url);
-    const pathParts = urlObj.pathname.split('/').filter(Boolean);
-    const cardName = pathParts[pathParts.length - 1] || 'credit-card';
-    const sanitizedName = cardName.replace(/[^a-zA-Z0-9-]/g, '-');
-    const timestamp = new Date().toISOString().slice(0, 10);
-    return `${sanitizedName}-${timestamp}.json`;
-  } catch {
-    return `credit-card-data-${Date.now()}.json`;
-  }
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function generateOutputFilename(cardId) {
+  const sanitizedName = (cardId || 'credit-card-data').replace(/[^a-zA-Z0-9-]/g, '-');
+  const timestamp = new Date().toISOString().slice(0, 10);
+  return `${sanitizedName}-${timestamp}.json`;
 }
 
 process.on('uncaughtException', (error) => {
@@ -242,11 +460,109 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+async function main(argv = process.argv.slice(2)) {
+  let { values } = parseArgs({
+    args: argv,
+    options: {
+      manifest: { type: 'string', short: 'm' },
+      parallel: { type: 'boolean' },
+      sequential: { type: 'boolean' },
+      concurrency: { type: 'string' },
+      offline: { type: 'boolean' },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      resume: { type: 'string' },
+      'gc-pdfs': { type: 'boolean' },
+    },
+  });
+
+  if (values['gc-pdfs']) {
+    await collectPdfGarbage();
+    return;
+  }
+
+  const checkpoint = new RunCheckpoint(values.resume || generateRunId());
+  if (values.resume) {
+    const run = await checkpoint.loadRun();
+    values = { ...run.options, ...values };
+    logInfo(`Resuming run ${checkpoint.runId} (started ${run.startedAt})`);
+  } else {
+    if (values.manifest) values.manifest = path.resolve(values.manifest);
+    await checkpoint.saveRun(values);
+    logInfo(`Run ${checkpoint.runId} (if interrupted, continue with --resume ${checkpoint.runId})`);
+  }
+
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  if (values.offline) {
+    globalHttpCache.setMode('cache-only');
+    logInfo('Offline mode: serving every request from the HTTP cache');
+  }
+  if (values.record) await startRecording(values.record);
+  if (values.replay) await startReplay(values.replay);
+
+  const resumeHint = `Continue this run with: node src/index.js --resume ${checkpoint.runId}`;
+  try {
+    const succeeded = await runExtraction(values, checkpoint.runId);
+    if (succeeded) {
+      await checkpoint.remove();
+    } else {
+      logWarn(resumeHint);
+    }
+  } catch (error) {
+    logWarn(resumeHint);
+    throw error;
+  } finally {
+    await stopFixtures();
+    await globalCookieSession.save();
+  }
+}
+
+async function collectPdfGarbage() {
+  logSection("Pruning PDF Store");
+  const stats = await globalPdfStore.gc();
+  logTable("PDF Store", {
+    "Index entries removed": stats.entriesRemoved,
+    "Index entries kept": stats.entriesKept,
+    "Blobs removed": stats.blobsRemoved,
+    "Space freed": formatFileSize(stats.bytesFreed),
+  });
+}
+
+/**
+ * @returns {Promise<boolean>} true when every card was extracted
+ */
+async function runExtraction(values, runId) {
+  if (!values.manifest) {
+    await extractCardData(resolveCardConfig(), { runId });
+    return true;
+  }
+
+  const manifest = await loadManifest(values.manifest);
+  let mode = manifest.run.mode;
+  if (values.parallel) mode = 'parallel';
+  if (values.sequential) mode = 'sequential';
+
+  const { results } = await runBatch(manifest.cards, extractCardData, {
+    runId,
+    mode,
+    concurrency: parseInt(values.concurrency) || manifest.run.concurrency,
+    outputDir: manifest.run.outputDir,
+  });
+
+  if (results.some(result => result.status !== 'success')) {
+    process.exitCode = 1;
+    return false;
+  }
+  return true;
+}
+
 if (require.main === module) {
-  extractCardData().catch((error) => {
+  main().catch((error) => {
     logError('Failed to start extraction', error);
     process.exit(1);
   });
 }
 
-module.exports = { extractCardData };
+module.exports = { extractCardData, main };
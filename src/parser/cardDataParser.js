@@ -1,13 +1,102 @@
 // src/parser/cardDataParser.js
 const cheerio = require('cheerio');
-const { createEmptyCardData } = require('../schema/cardSchema');
+const { createEmptyCardData, listFieldValues } = require('../schema/cardSchema');
 const { logInfo, logSuccess, logError, logWarn } = require('../utils/logger');
+const { globalProfileRegistry } = require('../profiles');
+
+// schema.org types describing the card itself in JSON-LD
+const PRODUCT_TYPES = ['Product', 'FinancialProduct', 'PaymentCard', 'CreditCard'];
+
+// Key names in embedded page JSON (Next.js props, AEM models) mapped to card fields
+const STRING_KEYS = [
+  { field: 'cardName', pattern: /^(?:card|product)[-_ ]?(?:name|title)$/i },
+  { field: 'annualFee', pattern: /^(?:annual|renewal)[-_ ]?fees?$/i, fee: true },
+  { field: 'joiningFee', pattern: /^(?:joining|membership)[-_ ]?fees?$/i, fee: true },
+  { field: 'interestRate', pattern: /^(?:interest[-_ ]?rate|apr|annualPercentageRate)$/i },
+  { field: 'foreignCurrencyMarkup', pattern: /^(?:forex|foreign[-_ ]?currency)[-_ ]?(?:markup|fee)$/i },
+];
+const LIST_KEYS = [
+  { field: 'benefits', pattern: /^(?:benefits|keyBenefits|features|keyFeatures|offers)$/i },
+  { field: 'rewards', pattern: /^(?:rewards?|rewardPoints)$/i },
+  { field: 'welcomeBenefits', pattern: /^welcome[-_ ]?(?:benefits?|offers?)$/i },
+  { field: 'milestoneBenefits', pattern: /^milestone[-_ ]?(?:benefits?|rewards?)$/i },
+  { field: 'eligibilityCriteria', pattern: /^eligibility(?:Criteria)?$/i },
+];
+const MAX_JSON_DEPTH = 12;
+
+// Table row/column labels mapped to card fields
+const TABLE_LABELS = [
+  { field: 'annualFee', pattern: /\b(?:annual|renewal|yearly)\b.*\bfees?\b/i, amount: true },
+  { field: 'joiningFee', pattern: /^(?!.*\brenewal\b).*\b(?:joining|first[- ]year|membership)\b.*\bfees?\b/i, amount: true },
+  { field: 'interestRate', pattern: /\b(?:interest\s*rate|finance\s*charges?|apr)\b/i },
+  { field: 'foreignCurrencyMarkup', pattern: /\b(?:foreign\s*currency|forex|cross[- ]currency)\b/i },
+];
+// Accordion/tab panel titles mapped to the text extractors run on that panel
+// alone, ahead of the whole page
+const PANEL_SECTIONS = [
+  { pattern: /fees|charges/i, extractors: ['extractFeesFromText', 'extractInterestRateFromText', 'extractOtherChargesFromText'] },
+  { pattern: /eligib/i, extractors: ['extractEligibilityFromText'] },
+  { pattern: /reward|cashback|points/i, extractors: ['extractRewardsFromText'] },
+  { pattern: /benefit|feature|privilege/i, extractors: ['extractBenefitsFromText', 'extractLoungeAccessFromText', 'extractInsuranceFromText'] },
+];
+
+// Run in this order on page and PDF text
+const TEXT_EXTRACTORS = [
+  'extractCardNameFromText',
+  'extractFeesFromText',
+  'extractRewardsFromText',
+  'extractBenefitsFromText',
+  'extractEligibilityFromText',
+  'extractInterestRateFromText',
+  'extractOtherChargesFromText',
+  'extractLoungeAccessFromText',
+  'extractInsuranceFromText',
+  'extractContactInfoFromText',
+];
+
+// Longer cells are content, not labels
+const MAX_TABLE_LABEL_LENGTH = 60;
+
+// "Rs. 2,500 + GST" → "₹2,500 + GST": the amount is normalized, the text around it kept
+function tableAmount(value) {
+  const match = value.match(/(?:₹|rs\.?|inr)\s*(\d[\d,]*(?:\.\d+)?)/i) || value.match(/(\d[\d,]*(?:\.\d+)?)/);
+  if (!match) return value;
+  const before = value.slice(0, match.index);
+  const after = value.slice(match.index + match[0].length);
+  return `${before}₹${match[1]}${after}`.replace(/\s+/g, ' ').trim();
+}
+
+function jsonText(value) {
+  return String(value).replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function formatFee(value) {
+  if (typeof value === 'number') return `₹${value.toLocaleString('en-IN')}`;
+  const text = jsonText(value);
+  return /^[\d,]+(?:\.\d+)?$/.test(text) ? `₹${text}` : text;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 class CardDataParser {
-  constructor() {
+  /**
+   * @param {Object} options - { profile, nameKeywords } from the card config;
+   * nameKeywords are the words the card's name must contain (e.g. ['regalia', 'gold'])
+   */
+  constructor(options = {}) {
+    this.options = {
+      profile: globalProfileRegistry.get('generic'),
+      nameKeywords: [],
+      ...options,
+    };
     this.cardData = createEmptyCardData();
     this.rawText = '';
     this.html = '';
+    this.tables = [];
+    this.panels = [];
+    this.provenance = [];
   }
 
   parseHTML(html, url) {
@@ -32,40 +121,250 @@ class CardDataParser {
     return this.cardData;
   }
 
-  parsePDF(text, url) {
+  /**
+   * @param {string} text - Page or PDF text
+   * @param {string} url - Source URL
+   * @param {Object} options - { tables, panels, pages }: cell matrices ({ headers, rows })
+   *   and titled accordion/tab panels ({ title, text, tables }) from the same
+   *   source; values found there take precedence over page-wide text matches.
+   *   pages ({ page, start, end } offsets into text) come with PDF text, and
+   *   each extracted value is then traced to its page (see getProvenance)
+   */
+  parsePDF(text, url, options = {}) {
     this.rawText = text;
+    this.panels = (options.panels || []).filter(panel => panel.title && this.panelSection(panel));
+    this.tables = [...this.panels.flatMap(panel => panel.tables || []), ...(options.tables || [])];
     
     logInfo(`Parsing PDF content from: ${url}`);
     
-    this.extractCardNameFromText();
-    this.extractFeesFromText();
-    this.extractRewardsFromText();
-    this.extractBenefitsFromText();
-    this.extractEligibilityFromText();
-    this.extractInterestRateFromText();
-    this.extractOtherChargesFromText();
-    this.extractLoungeAccessFromText();
-    this.extractInsuranceFromText();
-    this.extractContactInfoFromText();
+    this.extractFromTables();
+    this.extractFromPanels();
+    TEXT_EXTRACTORS.forEach(extractor => this[extractor]());
+
+    this.provenance = options.pages ? this.locatePages(options.pages) : [];
     
     return this.cardData;
   }
 
-  extractCardName($) {
-    const selectors = [
-      'h1',
-      'h2',
-      '.card-title',
-      '.product-title',
-      '[class*="card-name"]',
-      '[class*="product-name"]'
-    ];
+  /**
+   * Finds the page each extracted value came from by running the extractors
+   * again on every page alone: a value cites the first page that yields it
+   * on its own. Values that only match across a page break get page null.
+   * @param {Array} pages - { page, start, end } offsets into the parsed text
+   * @returns {Array} { field, value, page }
+   */
+  locatePages(pages) {
+    const values = listFieldValues(this.cardData);
+    if (values.length === 0) return [];
+
+    const { cardData, rawText, tables, panels } = this;
+    const pageValues = pages.map(page => {
+      this.cardData = createEmptyCardData();
+      this.rawText = rawText.slice(page.start, page.end);
+      this.tables = tables.filter(table => table.page === page.page);
+      this.panels = [];
+      this.extractFromTables();
+      TEXT_EXTRACTORS.forEach(extractor => this[extractor]());
+      return { page: page.page, values: listFieldValues(this.cardData) };
+    });
+    Object.assign(this, { cardData, rawText, tables, panels });
+
+    return values.map(({ field, value }) => {
+      const found = pageValues.find(({ values: found }) =>
+        found.some(candidate => candidate.field === field && candidate.value === value)
+      );
+      return { field, value, page: found ? found.page : null };
+    });
+  }
+
+  /**
+   * @returns {Array} Page citations from the last parsePDF call with pages
+   */
+  getProvenance() {
+    return this.provenance;
+  }
+
+  /**
+   * Finds the value for a label in the tables: the next cell after a matching
+   * row label, or the first value under a matching column header.
+   * @param {RegExp} labelPattern
+   * @returns {Object|null} { label, value }
+   */
+  lookupTableValue(labelPattern) {
+    const isLabel = cell => cell.length <= MAX_TABLE_LABEL_LENGTH && labelPattern.test(cell);
+
+    for (const table of this.tables) {
+      for (const row of table.rows) {
+        const index = row.findIndex(isLabel);
+        if (index === -1) continue;
+        const value = row.slice(index + 1).find(cell => cell && cell !== row[index]);
+        if (value) return { label: row[index], value };
+      }
+
+      const column = table.headers.findIndex(isLabel);
+      if (column !== -1) {
+        const row = table.rows.find(r => r[column]);
+        if (row) return { label: table.headers[column], value: row[column] };
+      }
+    }
+    return null;
+  }
+
+  panelSection(panel) {
+    return PANEL_SECTIONS.find(({ pattern }) => pattern.test(panel.title));
+  }
+
+  /**
+   * Runs the extractors for a panel's section (e.g. fees for a "Fees & Charges"
+   * accordion) on that panel's text only.
+   */
+  extractFromPanels() {
+    const pageText = this.rawText;
+    this.panels.forEach(panel => {
+      this.rawText = panel.text;
+      this.panelSection(panel).extractors.forEach(extractor => this[extractor]());
+    });
+    this.rawText = pageText;
+  }
+
+  extractFromTables() {
+    if (this.tables.length === 0) return;
+
+    TABLE_LABELS.forEach(({ field, pattern, amount }) => {
+      if (this.cardData[field]) return;
+      const match = this.lookupTableValue(pattern);
+      if (match) {
+        this.cardData[field] = amount ? tableAmount(match.value) : match.value;
+      }
+    });
+
+    // Remaining fee/charge rows, e.g. "Cash advance fee | 2.5% (min ₹500)".
+    // A label spanning several rows is repeated on each of them once spans are
+    // expanded, so its values are collected into one charge.
+    this.tables.forEach(table => {
+      const valuesByLabel = new Map();
+      table.rows.forEach(row => {
+        const label = row[0];
+        if (!label || label.length > MAX_TABLE_LABEL_LENGTH) return;
+        if (!/\b(?:fees?|charges?)\b/i.test(label)) return;
+        if (TABLE_LABELS.some(({ pattern }) => pattern.test(label))) return;
+        const values = valuesByLabel.get(label) || new Set();
+        row.slice(1).filter(cell => cell && cell !== label).forEach(cell => values.add(cell));
+        valuesByLabel.set(label, values);
+      });
+
+      valuesByLabel.forEach((values, label) => {
+        if (values.size === 0) return;
+        const charge = `${label}: ${[...values].join(' | ')}`;
+        if (!this.cardData.otherCharges.includes(charge)) {
+          this.cardData.otherCharges.push(charge);
+        }
+      });
+    });
+  }
+
+  /**
+   * Maps JSON embedded in a page (see HTMLCrawler.extractEmbeddedData) into the
+   * card schema: schema.org Product/FinancialProduct nodes in JSON-LD, and
+   * well-known key names (annualFee, joiningFee, benefits, ...) anywhere else.
+   */
+  parseStructuredData(payloads, url) {
+    logInfo(`Parsing embedded JSON from: ${url}`);
+
+    payloads.forEach(({ data }) => {
+      this.walkJson(data, 0, (node) => {
+        if (!this.extractFromJsonLd(node)) {
+          this.extractFromJsonKeys(node);
+        }
+      });
+    });
+
+    return this.cardData;
+  }
+
+  walkJson(value, depth, visit) {
+    if (!value || typeof value !== 'object' || depth > MAX_JSON_DEPTH) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => this.walkJson(item, depth + 1, visit));
+      return;
+    }
+    visit(value);
+    Object.values(value).forEach(child => this.walkJson(child, depth + 1, visit));
+  }
+
+  /**
+   * @returns {boolean} true if the node is a schema.org product node
+   */
+  extractFromJsonLd(node) {
+    const types = [].concat(node['@type'] || []);
+    if (!types.some(type => PRODUCT_TYPES.includes(type))) return false;
+
+    if (node.name && !this.cardData.cardName) {
+      this.cardData.cardName = jsonText(node.name);
+    }
+
+    const rate = node.annualPercentageRate ?? node.interestRate;
+    if (rate !== undefined && !this.cardData.interestRate) {
+      const value = typeof rate === 'object' ? rate.value ?? rate.minValue : rate;
+      if (value !== undefined) this.cardData.interestRate = typeof value === 'number' ? `${value}%` : jsonText(value);
+    }
+
+    if (typeof node.feesAndCommissionsSpecification === 'string') {
+      this.cardData.otherCharges.push(jsonText(node.feesAndCommissionsSpecification));
+    }
+
+    [].concat(node.offers || []).forEach(offer => {
+      if (!offer || typeof offer !== 'object') return;
+      const label = jsonText([offer.name, offer.description].filter(Boolean).join(' - '));
+      const price = offer.price ?? (offer.priceSpecification && offer.priceSpecification.price);
+      if (price !== undefined && /annual|renewal/i.test(label)) {
+        this.cardData.annualFee = this.cardData.annualFee || formatFee(price);
+      } else if (price !== undefined && /joining|membership|first[- ]year/i.test(label)) {
+        this.cardData.joiningFee = this.cardData.joiningFee || formatFee(price);
+      } else if (label) {
+        this.cardData.benefits.push(label);
+      }
+    });
+    return true;
+  }
+
+  extractFromJsonKeys(node) {
+    Object.entries(node).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') return;
 
-    for (const selector of selectors) {
+      if (typeof value === 'string' || typeof value === 'number') {
+        const match = STRING_KEYS.find(({ pattern }) => pattern.test(key));
+        if (match && !this.cardData[match.field]) {
+          this.cardData[match.field] = match.fee ? formatFee(value) : jsonText(value);
+        }
+        return;
+      }
+
+      const list = LIST_KEYS.find(({ pattern }) => pattern.test(key));
+      if (!list || !Array.isArray(value)) return;
+      value.forEach(item => {
+        const text = typeof item === 'object' && item !== null
+          ? jsonText([item.title || item.name || item.heading, item.description || item.text || item.body].filter(Boolean).join(' - '))
+          : jsonText(item);
+        if (text && !this.cardData[list.field].includes(text)) {
+          this.cardData[list.field].push(text);
+        }
+      });
+    });
+  }
+
+  matchesCardName(text) {
+    const name = text.toLowerCase();
+    const { nameKeywords } = this.options;
+    return nameKeywords.length > 0 ? nameKeywords.every(word => name.includes(word)) : /credit\s+card/.test(name);
+  }
+
+  extractCardName($) {
+    for (const selector of this.options.profile.cardName.selectors) {
       const element = $(selector).first();
       if (element.length && element.text().trim()) {
         const text = element.text().trim();
-        if (text.toLowerCase().includes('regalia') && text.toLowerCase().includes('gold')) {
+        if (this.matchesCardName(text)) {
           this.cardData.cardName = text;
           break;
         }
@@ -73,14 +372,20 @@ class CardDataParser {
     }
   }
 
-  extractCardNameFromText() {
-    const patterns = [
-      /(?:HDFC\s+)?Regalia\s+Gold\s+Credit\s+Card/gi,
-      /Regalia\s+Gold\s+Credit\s+Card/gi,
-      /HDFC\s+Regalia\s+Gold/gi
-    ];
+  cardNamePatterns() {
+    const { cardName } = this.options.profile;
+    const patterns = [...cardName.patterns];
+    if (this.options.nameKeywords.length > 0) {
+      const name = this.options.nameKeywords.map(escapeRegExp).join('\\s+');
+      const prefix = cardName.prefix ? cardName.prefix.source : null;
+      patterns.push(new RegExp(prefix ? `(?:${prefix}\\s+)?${name}\\s+Credit\\s+Card` : `${name}\\s+Credit\\s+Card`, 'i'));
+      if (prefix) patterns.push(new RegExp(`${prefix}\\s+${name}`, 'i'));
+    }
+    return patterns;
+  }
 
-    for (const pattern of patterns) {
+  extractCardNameFromText() {
+    for (const pattern of this.cardNamePatterns()) {
       const match = this.rawText.match(pattern);
       if (match) {
         this.cardData.cardName = match[0].trim();
@@ -98,12 +403,12 @@ class CardDataParser {
     feeSections.each((i, element) => {
       const text = $(element).text();
       
-      const annualFeeMatch = text.match(/(?:annual|yearly)\s*fee[:\s]*₹?\s*([0-9,]+)/i);
+      const annualFeeMatch = text.match(/(?:annual|yearly)\s*fee[:\s]*₹?\s*(\d[\d,]*)/i);
       if (annualFeeMatch && !this.cardData.annualFee) {
         this.cardData.annualFee = `₹${annualFeeMatch[1]}`;
       }
 
-      const joiningFeeMatch = text.match(/(?:joining|membership)\s*fee[:\s]*₹?\s*([0-9,]+)/i);
+      const joiningFeeMatch = text.match(/(?:joining|membership)\s*fee[:\s]*₹?\s*(\d[\d,]*)/i);
       if (joiningFeeMatch && !this.cardData.joiningFee) {
         this.cardData.joiningFee = `₹${joiningFeeMatch[1]}`;
       }
@@ -112,15 +417,15 @@ class CardDataParser {
 
   extractFeesFromText() {
     const annualFeePatterns = [
-      /(?:annual|yearly)\s*fee[:\s]*₹?\s*([0-9,]+)/gi,
-      /₹\s*([0-9,]+)\s*(?:annual|yearly)/gi,
-      /fee[:\s]*₹?\s*([0-9,]+)/gi
+      /(?:annual|yearly)\s*fee[:\s]*₹?\s*(\d[\d,]*)/gi,
+      /₹\s*(\d[\d,]*)\s*(?:annual|yearly)/gi,
+      /fee[:\s]*₹?\s*(\d[\d,]*)/gi
     ];
 
     for (const pattern of annualFeePatterns) {
       const match = this.rawText.match(pattern);
       if (match && !this.cardData.annualFee) {
-        const amount = match[0].match(/([0-9,]+)/);
+        const amount = match[0].match(/(\d[\d,]*)/);
         if (amount) {
           this.cardData.annualFee = `₹${amount[1]}`;
           break;
@@ -129,14 +434,14 @@ class CardDataParser {
     }
 
     const joiningFeePatterns = [
-      /(?:joining|membership)\s*fee[:\s]*₹?\s*([0-9,]+)/gi,
-      /₹\s*([0-9,]+)\s*(?:joining|membership)/gi
+      /(?:joining|membership)\s*fee[:\s]*₹?\s*(\d[\d,]*)/gi,
+      /₹\s*(\d[\d,]*)\s*(?:joining|membership)/gi
     ];
 
     for (const pattern of joiningFeePatterns) {
       const match = this.rawText.match(pattern);
       if (match && !this.cardData.joiningFee) {
-        const amount = match[0].match(/([0-9,]+)/);
+        const amount = match[0].match(/(\d[\d,]*)/);
         if (amount) {
           this.cardData.joiningFee = `₹${amount[1]}`;
           break;
@@ -193,7 +498,7 @@ class CardDataParser {
       });
     }
 
-    this.cardData.rewards = [...new Set(rewards)];
+    this.cardData.rewards = [...new Set([...this.cardData.rewards, ...rewards])];
   }
 
   extractBenefits($) {
@@ -250,7 +555,7 @@ class CardDataParser {
       });
     }
 
-    this.cardData.benefits = [...new Set(benefits)];
+    this.cardData.benefits = [...new Set([...this.cardData.benefits, ...benefits])];
   }
 
   extractEligibility($) {
@@ -301,7 +606,7 @@ class CardDataParser {
       });
     }
 
-    this.cardData.eligibilityCriteria = [...new Set(eligibility)];
+    this.cardData.eligibilityCriteria = [...new Set([...this.cardData.eligibilityCriteria, ...eligibility])];
   }
 
   extractInterestRate($) {
@@ -391,7 +696,7 @@ class CardDataParser {
       });
     }
 
-    this.cardData.otherCharges = [...new Set(charges)];
+    this.cardData.otherCharges = [...new Set([...this.cardData.otherCharges, ...charges])];
   }
 
   extractLoungeAccess($) {
@@ -544,6 +849,9 @@ class CardDataParser {
     this.cardData = createEmptyCardData();
     this.rawText = '';
     this.html = '';
+    this.tables = [];
+    this.panels = [];
+    this.provenance = [];
   }
 }
 
@@ -0,0 +1,32 @@
+/**
+ * Fallback profile for banks without one of their own. Every profile has
+ * this shape; see profiles/index.js for how the fields are applied.
+ */
+module.exports = {
+  name: "generic",
+  // Domains (subdomains included) the profile applies to
+  domains: [],
+  // Added to settings.ignorePatterns / settings.priorityPatterns
+  ignorePatterns: [],
+  priorityPatterns: [],
+  // Added to the settings.relevance lists
+  relevance: {
+    urlPatterns: [],
+    keywords: [],
+    negativeTerms: [],
+  },
+  url: {
+    // { pattern, replacement } fixes applied to this site's URLs before validation
+    repairs: [],
+    // URLs of this site matching any of these are dropped as malformed
+    reject: [],
+  },
+  cardName: {
+    // Elements holding the card's name on the card page, in order of preference
+    selectors: ["h1", "h2", ".card-title", ".product-title", '[class*="card-name"]', '[class*="product-name"]'],
+    // Bank name as it may precede the card name in running text
+    prefix: null,
+    // Extra patterns finding the card name in page/PDF text
+    patterns: [],
+  },
+};
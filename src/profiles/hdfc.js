@@ -0,0 +1,43 @@
+// HDFC Bank (hdfcbank.com). Its pages carry doubled letters in many link
+// paths (CCredit, Cardds, nationnal...), which are repaired or dropped here.
+const TYPO_REPAIRS = [
+  ["CCredit", "Credit"],
+  ["Carrds", "Cards"],
+  ["Creditt", "Credit"],
+  ["CCard", "Card"],
+  ["Supeer", "Super"],
+  ["Preemium", "Premium"],
+  ["immediiate", "immediate"],
+  ["nationnal", "national"],
+  ["remitnnow", "remitnow"],
+  ["ttime", "time"],
+  ["Cardds", "Cards"],
+  ["Creddit", "Credit"],
+  ["ppay", "pay"],
+  ["donattions", "donations"],
+];
+
+module.exports = {
+  name: "hdfc",
+  domains: ["hdfcbank.com"],
+  ignorePatterns: [],
+  priorityPatterns: [],
+  relevance: {
+    urlPatterns: [],
+    keywords: [],
+    negativeTerms: [],
+  },
+  url: {
+    repairs: TYPO_REPAIRS.map(([typo, fixed]) => ({ pattern: new RegExp(typo, "g"), replacement: fixed })),
+    reject: [
+      /creddit/i, /cardds/i, /traansfer/i, /milllennia/i,
+      /commmercial/i, /busiiness/i, /ccredit/i, /uusers/i,
+      /immediiate/i, /nationnal/i, /remitnnow/i, /ttime/i,
+      /ppay/i, /donattions/i,
+    ],
+  },
+  cardName: {
+    prefix: /HDFC(?:\s+Bank)?/,
+    patterns: [],
+  },
+};
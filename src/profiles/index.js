@@ -0,0 +1,90 @@
+const settings = require("../config/settings");
+const { ValidationError } = require("../utils/errorHandler");
+const generic = require("./generic");
+const hdfc = require("./hdfc");
+
+/**
+ * Bank/site profiles: the URL rules, relevance keywords, selectors and
+ * card-name patterns that differ from bank to bank. A profile applies to the
+ * domains it lists (subdomains included) and to any domain mapped to it in
+ * `settings.profiles.domains` or by a manifest card's `profile`; everything
+ * else uses the default profile.
+ *
+ * Fields a profile leaves out are taken from the generic profile.
+ */
+class ProfileRegistry {
+  constructor(config = settings.profiles) {
+    this.profiles = new Map();
+    this.domains = new Map();
+    this.defaultName = config.default || "generic";
+
+    for (const profile of [generic, hdfc]) {
+      this.register(profile);
+    }
+    for (const [domain, name] of Object.entries(config.domains || {})) {
+      this.setDomainProfile(domain, name);
+    }
+  }
+
+  register(profile) {
+    const complete = {
+      ...generic,
+      ...profile,
+      relevance: { ...generic.relevance, ...profile.relevance },
+      url: { ...generic.url, ...profile.url },
+      cardName: { ...generic.cardName, ...profile.cardName },
+    };
+    this.profiles.set(complete.name, complete);
+    for (const domain of complete.domains) {
+      this.domains.set(domain.toLowerCase().replace(/^www\./, ""), complete.name);
+    }
+    return complete;
+  }
+
+  assertKnown(name) {
+    if (!this.profiles.has(name)) {
+      throw new ValidationError(`Unknown profile "${name}" (available: ${[...this.profiles.keys()].join(", ")})`, { profile: name });
+    }
+  }
+
+  setDomainProfile(domain, name) {
+    this.assertKnown(name);
+    this.domains.set(domain.toLowerCase().replace(/^www\./, ""), name);
+  }
+
+  get(name) {
+    this.assertKnown(name);
+    return this.profiles.get(name);
+  }
+
+  resolveName(hostname) {
+    const labels = hostname.toLowerCase().split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const name = this.domains.get(labels.slice(i).join("."));
+      if (name) return name;
+    }
+    return this.defaultName;
+  }
+
+  forDomain(hostname) {
+    return this.get(this.resolveName(hostname));
+  }
+
+  /**
+   * @returns {Object} Profile for a URL; the default profile for relative or invalid URLs
+   */
+  forUrl(url) {
+    try {
+      return this.forDomain(new URL(url).hostname);
+    } catch {
+      return this.get(this.defaultName);
+    }
+  }
+}
+
+const globalProfileRegistry = new ProfileRegistry();
+
+module.exports = {
+  ProfileRegistry,
+  globalProfileRegistry,
+};
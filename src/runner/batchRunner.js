@@ -0,0 +1,100 @@
+const path = require("path");
+const settings = require("../config/settings");
+const { saveJSON } = require("../utils/fileUtils");
+const { runPool } = require("../utils/workerPool");
+const { generateRunId } = require("./runCheckpoint");
+const {
+  logInfo,
+  logSuccess,
+  logWarn,
+  logSection,
+  logTable,
+} = require("../utils/logger");
+
+async function runCard(card, extract, runId) {
+  const startTime = Date.now();
+  try {
+    const { outputPath, data } = await extract(card, { runId });
+    return {
+      id: card.id,
+      cardUrl: card.cardUrl,
+      status: "success",
+      outputPath,
+      cardName: data.cardData.cardName || null,
+      validationScore: data.extractionMetadata.validation.score,
+      completenessPercentage: data.extractionMetadata.completeness.completenessPercentage,
+      sourcesProcessed: data.sources.length,
+      durationMs: Date.now() - startTime,
+    };
+  } catch (error) {
+    logWarn(`Card ${card.id} failed: ${error.message}`);
+    return {
+      id: card.id,
+      cardUrl: card.cardUrl,
+      status: "failed",
+      error: error.message,
+      durationMs: Date.now() - startTime,
+    };
+  }
+}
+
+/**
+ * Runs the extraction pipeline for every card in a manifest and writes a combined run index.
+ * @param {Object[]} cards - Resolved card configs (see config/manifest)
+ * @param {Function} extract - Pipeline entry point, called as extract(cardConfig, { runId }) once per card
+ * @param {Object} options - { runId, mode: 'sequential'|'parallel', concurrency, outputDir }
+ * @returns {Promise<Object>} { runId, indexPath, results }
+ */
+async function runBatch(cards, extract, options = {}) {
+  const {
+    runId = generateRunId(),
+    mode = "sequential",
+    concurrency = settings.batch.concurrency,
+    outputDir = settings.paths.output,
+  } = options;
+
+  const startTime = Date.now();
+  const limit = mode === "parallel" ? Math.max(1, concurrency) : 1;
+
+  logSection(`Batch Run ${runId}`);
+  logInfo(`Processing ${cards.length} cards (${mode}, concurrency: ${limit})`);
+
+  const results = await runPool(cards, (card) => runCard(card, extract, runId), limit);
+
+  const succeeded = results.filter((result) => result.status === "success").length;
+  const runIndex = {
+    runId,
+    startedAt: new Date(startTime).toISOString(),
+    completedAt: new Date().toISOString(),
+    durationMs: Date.now() - startTime,
+    mode,
+    concurrency: limit,
+    totals: {
+      cards: cards.length,
+      succeeded,
+      failed: cards.length - succeeded,
+    },
+    cards: results,
+  };
+
+  const indexPath = path.resolve(__dirname, "../..", outputDir, `run-index-${runId}.json`);
+  await saveJSON(indexPath, runIndex);
+
+  logTable("Batch Summary", {
+    "Run id": runId,
+    "Cards processed": cards.length,
+    "Succeeded": succeeded,
+    "Failed": cards.length - succeeded,
+    "Run index": indexPath,
+  });
+
+  if (succeeded === cards.length) {
+    logSuccess(`Batch run completed: ${succeeded}/${cards.length} cards extracted`);
+  } else {
+    logWarn(`Batch run completed with failures: ${succeeded}/${cards.length} cards extracted`);
+  }
+
+  return { runId, indexPath, results };
+}
+
+module.exports = { runBatch };
@@ -0,0 +1,89 @@
+const fs = require("fs/promises");
+const path = require("path");
+const settings = require("../config/settings");
+const { ensureDirectoryExists } = require("../utils/fileUtils");
+const { ValidationError } = require("../utils/errorHandler");
+
+const RUN_FILE = "run.json";
+
+function generateRunId() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * On-disk state of a run, so an interrupted run can continue with --resume.
+ * Layout: <paths.checkpoints>/<runId>/run.json (CLI options of the run) and
+ * one <cardId>.json per card (frontier, aggregator sources, counters).
+ */
+class RunCheckpoint {
+  constructor(runId, options = {}) {
+    if (!/^[\w.-]+$/.test(runId || "")) {
+      throw new ValidationError(`Invalid run id: ${runId}`, { runId });
+    }
+    this.runId = runId;
+    this.directory = options.directory || path.resolve(__dirname, "../..", settings.paths.checkpoints, runId);
+    this.writes = Promise.resolve();
+  }
+
+  cardPath(cardId) {
+    return path.join(this.directory, `${String(cardId).replace(/[^\w.-]/g, "-")}.json`);
+  }
+
+  async writeJSON(filePath, data) {
+    await ensureDirectoryExists(this.directory);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, typeof data === "string" ? data : JSON.stringify(data, null, 2), "utf8");
+    await fs.rename(tempPath, filePath);
+  }
+
+  async readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async saveRun(options) {
+    await this.writeJSON(path.join(this.directory, RUN_FILE), {
+      runId: this.runId,
+      startedAt: new Date().toISOString(),
+      options,
+    });
+  }
+
+  async loadRun() {
+    const run = await this.readJSON(path.join(this.directory, RUN_FILE));
+    if (!run) {
+      throw new ValidationError(`No checkpoint found for run ${this.runId} in ${this.directory}`, { runId: this.runId });
+    }
+    return run;
+  }
+
+  /**
+   * Writes are chained so an older state never lands after a newer one. The
+   * state is serialized right away, as the crawl keeps changing it while
+   * earlier writes finish.
+   */
+  saveCard(cardId, state) {
+    const data = JSON.stringify({ runId: this.runId, cardId, updatedAt: new Date().toISOString(), ...state }, null, 2);
+    const write = this.writes.then(() => this.writeJSON(this.cardPath(cardId), data));
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  loadCard(cardId) {
+    return this.readJSON(this.cardPath(cardId));
+  }
+
+  async remove() {
+    await this.writes;
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  RunCheckpoint,
+  generateRunId,
+};
@@ -173,9 +173,31 @@ function isFieldRequired(fieldName) {
   return cardSchema[fieldName] && cardSchema[fieldName].required;
 }
 
+/**
+ * Lists every value in card data as { field, value }, one entry per array
+ * item; object fields use dotted names (e.g. "loungeAccess.domestic")
+ * @param {Object} cardData - Card data object
+ * @returns {Array} Array of { field, value }
+ */
+function listFieldValues(cardData) {
+  const values = [];
+  const add = (field, value) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => add(field, item));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => add(`${field}.${key}`, value[key]));
+    } else if (value !== null && value !== undefined && String(value).trim() !== '') {
+      values.push({ field, value: typeof value === 'string' ? value.trim() : value });
+    }
+  };
+  Object.keys(cardData || {}).forEach(field => add(field, cardData[field]));
+  return values;
+}
+
 module.exports = {
   cardSchema,
   createEmptyCardData,
+  listFieldValues,
   getRequiredFields,
   isFieldRequired
 };
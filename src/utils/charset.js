@@ -0,0 +1,101 @@
+const iconv = require("iconv-lite");
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+];
+
+// Only the start of the document is searched for a <meta> declaration, as browsers do.
+const META_SCAN_BYTES = 1024;
+
+/**
+ * Maps a charset label to its canonical WHATWG encoding name
+ * ("latin1" → "windows-1252"), or null if the label is unknown.
+ */
+function normalizeEncoding(label) {
+  if (!label) return null;
+  try {
+    return new TextDecoder(String(label).trim().toLowerCase()).encoding;
+  } catch (_) {
+    return null;
+  }
+}
+
+function detectBom(buffer) {
+  const match = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return match ? match.encoding : null;
+}
+
+function charsetFromContentType(contentType) {
+  const match = /charset\s*=\s*["']?([^;"'\s]+)/i.exec(String(contentType || ""));
+  return match ? match[1] : null;
+}
+
+/**
+ * Finds <meta charset="..."> or <meta http-equiv="Content-Type" content="...; charset=...">.
+ */
+function charsetFromMeta(buffer) {
+  const head = buffer.subarray(0, META_SCAN_BYTES).toString("latin1");
+  const match = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+  return match ? match[1] : null;
+}
+
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Determines the encoding of an HTML document: byte order mark first, then
+ * the Content-Type charset, then a <meta> declaration. Undeclared documents
+ * are read as UTF-8 when they are valid UTF-8, otherwise as Windows-1252.
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} contentType - Content-Type response header
+ * @returns {Object} { encoding, source: 'bom'|'content-type'|'meta'|'default'|'fallback' }
+ */
+function detectEncoding(buffer, contentType) {
+  const bom = detectBom(buffer);
+  if (bom) return { encoding: bom, source: "bom" };
+
+  const fromHeader = normalizeEncoding(charsetFromContentType(contentType));
+  if (fromHeader) return { encoding: fromHeader, source: "content-type" };
+
+  let fromMeta = normalizeEncoding(charsetFromMeta(buffer));
+  // A document that could be parsed for an ASCII <meta> tag cannot be UTF-16.
+  if (fromMeta && fromMeta.startsWith("utf-16")) fromMeta = "utf-8";
+  if (fromMeta) return { encoding: fromMeta, source: "meta" };
+
+  return isValidUtf8(buffer)
+    ? { encoding: "utf-8", source: "default" }
+    : { encoding: "windows-1252", source: "fallback" };
+}
+
+/**
+ * Decodes a raw HTML response body to a string.
+ * @returns {Object} { html, encoding, encodingSource }
+ */
+function decodeHtml(buffer, contentType) {
+  const body = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || "");
+  const { encoding, source } = detectEncoding(body, contentType);
+  // iconv-lite rather than TextDecoder: Node's TextDecoder reads windows-1252 as
+  // ISO-8859-1 and loses €, curly quotes and dashes.
+  const html = iconv.encodingExists(encoding)
+    ? iconv.decode(body, encoding)
+    : new TextDecoder(encoding).decode(body);
+  return {
+    html,
+    encoding,
+    encodingSource: source,
+  };
+}
+
+module.exports = {
+  normalizeEncoding,
+  detectEncoding,
+  decodeHtml,
+};
@@ -0,0 +1,194 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { CookieJar } = require("tough-cookie");
+const settings = require("../config/settings");
+const { withRateLimit } = require("./rateLimiter");
+const { logInfo, logSuccess, logWarn } = require("./logger");
+
+function hostMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+function setCookieHeaders(headers = {}) {
+  const value = headers["set-cookie"];
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Cookies for every request made through the shared HTTP client (page
+ * fetches, PDF HEAD checks and downloads, robots.txt, sitemaps). Cookies are
+ * scoped by domain and path as a browser would, including Set-Cookie headers
+ * on intermediate redirects such as consent or geo pages.
+ *
+ * Preflight steps are configured per domain and run once per run, before the
+ * first request to that domain: `{ url, method, data, headers }` requests a
+ * URL (e.g. a consent endpoint), `{ cookie, url }` sets a cookie directly.
+ */
+class CookieSession {
+  constructor(config = settings.cookies) {
+    this.options = {
+      enabled: true,
+      persist: false,
+      file: "cookies.json",
+      ...config,
+    };
+    this.jar = new CookieJar();
+    this.preflight = new Map();
+    this.preflightRuns = new Map();
+    this.ready = null;
+
+    for (const [domain, steps] of Object.entries(this.options.preflight || {})) {
+      this.setPreflight(domain, steps);
+    }
+  }
+
+  /**
+   * Bare names live under settings.paths.cookies; anything path-like is used as-is.
+   */
+  filePath() {
+    const file = this.options.file;
+    if (path.isAbsolute(file) || file.includes("/") || file.includes("\\")) {
+      return path.resolve(file);
+    }
+    return path.resolve(__dirname, "../..", settings.paths.cookies, file);
+  }
+
+  load() {
+    if (!this.ready) {
+      this.ready = this.options.persist ? this.loadFile() : Promise.resolve();
+    }
+    return this.ready;
+  }
+
+  async loadFile() {
+    const filePath = this.filePath();
+    try {
+      const serialized = JSON.parse(await fs.readFile(filePath, "utf8"));
+      this.jar = await CookieJar.deserialize(serialized);
+      logInfo(`Loaded ${serialized.cookies.length} cookies from ${filePath}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logWarn(`Ignoring unreadable cookie jar ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  async save() {
+    if (!this.options.enabled || !this.options.persist) return;
+    const filePath = this.filePath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const serialized = await this.jar.serialize();
+    await fs.writeFile(filePath, JSON.stringify(serialized, null, 2), "utf8");
+    logSuccess(`Saved ${serialized.cookies.length} cookies to ${filePath}`);
+  }
+
+  setPreflight(domain, steps = []) {
+    this.preflight.set(domain.toLowerCase().replace(/^www\./, ""), Array.isArray(steps) ? steps : [steps]);
+  }
+
+  preflightDomain(hostname) {
+    const domains = [...this.preflight.keys()]
+      .filter((domain) => hostMatches(hostname.toLowerCase(), domain))
+      .sort((a, b) => b.length - a.length);
+    return domains[0] || null;
+  }
+
+  /**
+   * Runs the preflight steps configured for a hostname's domain, once.
+   * A failing step is logged and the crawl carries on without it.
+   */
+  ensurePreflight(hostname) {
+    const domain = this.preflightDomain(hostname);
+    if (!domain) return Promise.resolve();
+    if (!this.preflightRuns.has(domain)) {
+      this.preflightRuns.set(domain, this.runPreflight(domain));
+    }
+    return this.preflightRuns.get(domain);
+  }
+
+  async runPreflight(domain) {
+    const { httpClient } = require("./httpClient");
+    for (const step of this.preflight.get(domain)) {
+      const url = step.url || `https://${domain}/`;
+      try {
+        if (step.cookie) {
+          await this.jar.setCookie(step.cookie, url);
+          logInfo(`Preflight: set cookie ${step.cookie.split(";")[0].split("=")[0]} for ${domain}`);
+          continue;
+        }
+        const response = await withRateLimit(new URL(url).hostname, () =>
+          httpClient({
+            url,
+            method: step.method || "GET",
+            data: step.data,
+            headers: { "User-Agent": settings.crawler.userAgent, ...step.headers },
+            timeout: settings.http.timeout,
+            validateStatus: () => true,
+            skipPreflight: true,
+          })
+        );
+        logInfo(`Preflight: ${step.method || "GET"} ${url} → ${response.status}`);
+      } catch (error) {
+        logWarn(`Preflight step failed for ${domain} (${url}): ${error.message}`);
+      }
+    }
+  }
+
+  async store(url, headers) {
+    for (const cookie of setCookieHeaders(headers)) {
+      try {
+        await this.jar.setCookie(cookie, url, { ignoreError: true });
+      } catch (_) {}
+    }
+  }
+
+  /**
+   * Axios request interceptor: runs pending preflight steps, adds the Cookie
+   * header and keeps the jar up to date across redirects.
+   */
+  async attach(config) {
+    if (!this.options.enabled) return config;
+    await this.load();
+
+    let currentUrl = new URL(config.url, config.baseURL).href;
+    if (!config.skipPreflight) await this.ensurePreflight(new URL(currentUrl).hostname);
+
+    const cookies = await this.jar.getCookieString(currentUrl);
+    if (cookies) config.headers.set("Cookie", cookies);
+
+    // follow-redirects calls this synchronously, so the jar's sync API is used.
+    const beforeRedirect = config.beforeRedirect;
+    config.beforeRedirect = (options, responseDetails) => {
+      for (const cookie of setCookieHeaders(responseDetails.headers)) {
+        this.jar.setCookieSync(cookie, currentUrl, { ignoreError: true });
+      }
+      currentUrl = options.href;
+      const next = this.jar.getCookieStringSync(currentUrl);
+      delete options.headers.cookie;
+      delete options.headers.Cookie;
+      if (next) options.headers.Cookie = next;
+      if (beforeRedirect) beforeRedirect(options, responseDetails);
+    };
+    config.cookieUrl = () => currentUrl;
+    return config;
+  }
+
+  /**
+   * Axios response hook: stores Set-Cookie headers of the final response,
+   * error responses included.
+   */
+  async collect(response) {
+    if (!this.options.enabled || !response || !response.config) return;
+    const { cookieUrl } = response.config;
+    const url = cookieUrl ? cookieUrl() : new URL(response.config.url, response.config.baseURL).href;
+    await this.store(url, response.headers);
+  }
+}
+
+const globalCookieSession = new CookieSession();
+
+module.exports = {
+  CookieSession,
+  globalCookieSession,
+};
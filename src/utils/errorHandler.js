@@ -48,6 +48,34 @@ class DataValidationError extends CrawlerError {
   }
 }
 
+class RobotsDisallowedError extends CrawlerError {
+  constructor(message, details = {}) {
+    super(message, 'ROBOTS_DISALLOWED', details);
+    this.name = 'RobotsDisallowedError';
+  }
+}
+
+class CacheMissError extends CrawlerError {
+  constructor(message, details = {}) {
+    super(message, 'CACHE_MISS', details);
+    this.name = 'CacheMissError';
+  }
+}
+
+class ContentTypeError extends CrawlerError {
+  constructor(message, details = {}) {
+    super(message, 'CONTENT_TYPE_MISMATCH', details);
+    this.name = 'ContentTypeError';
+  }
+}
+
+class SizeLimitError extends CrawlerError {
+  constructor(message, details = {}) {
+    super(message, 'SIZE_LIMIT_EXCEEDED', details);
+    this.name = 'SizeLimitError';
+  }
+}
+
 class ErrorHandler {
   constructor(options = {}) {
     this.options = {
@@ -117,6 +145,8 @@ class ErrorHandler {
     if (error instanceof RateLimitError) return 'RATE_LIMIT';
     if (error instanceof ParsingError) return 'PARSING';
     if (error instanceof DataValidationError) return 'DATA_VALIDATION';
+    if (error instanceof RobotsDisallowedError) return 'ROBOTS_DISALLOWED';
+    if (error instanceof CacheMissError) return 'CACHE_MISS';
 
     if (error.response) {
       const status = error.response.status;
@@ -210,7 +240,9 @@ class ErrorHandler {
       'PERMISSION_DENIED',
       'IS_DIRECTORY',
       'CLIENT_ERROR',
-      'NOT_FOUND'
+      'NOT_FOUND',
+      'ROBOTS_DISALLOWED',
+      'CACHE_MISS'
     ];
 
     if (noRetryTypes.includes(errorType)) {
@@ -333,6 +365,10 @@ module.exports = {
   RateLimitError,
   ParsingError,
   DataValidationError,
+  RobotsDisallowedError,
+  CacheMissError,
+  ContentTypeError,
+  SizeLimitError,
   ErrorHandler,
   globalErrorHandler,
   withErrorHandling
@@ -1,8 +1,12 @@
 const fs = require("fs/promises");
 const path = require("path");
-const axios = require("axios");
+const { httpClient } = require("./httpClient");
 const { createWriteStream } = require("fs");
+const { Transform } = require("stream");
 const { pipeline } = require("stream/promises");
+const { globalRateLimiter } = require("./rateLimiter");
+const { validatePdfContent } = require("./validation");
+const { ContentTypeError, SizeLimitError } = require("./errorHandler");
 
 const {
   logInfo,
@@ -39,11 +43,126 @@ async function saveJSON(filePath, data) {
 }
 
 
+// Bytes held back until the %PDF- signature has been checked
+const PDF_SNIFF_BYTES = 1024;
+
+// Content types no PDF is served with: error and login pages
+const NON_PDF_CONTENT_TYPE = /^(?:text\/|application\/(?:xhtml\+xml|json|xml)\b)/i;
+
+/**
+ * Rejects a response before its body is read: a declared Content-Length over
+ * maxSize, or, with expectPdf, a Content-Type that cannot be a PDF.
+ */
+function checkResponseHeaders(url, headers, { maxSize = null, expectPdf = false } = {}) {
+  const contentLength = parseInt(headers["content-length"], 10);
+  if (maxSize && contentLength > maxSize) {
+    throw new SizeLimitError(`Download of ${contentLength} bytes exceeds the ${maxSize} byte limit: ${url}`, {
+      url,
+      maxSize,
+      size: contentLength,
+    });
+  }
+
+  const contentType = headers["content-type"] || "";
+  if (expectPdf && NON_PDF_CONTENT_TYPE.test(contentType)) {
+    throw new ContentTypeError(`Expected a PDF but got ${contentType.split(";")[0]}: ${url}`, { url, contentType });
+  }
+}
+
+function pdfSignatureError(url, buffer, contentType) {
+  const check = validatePdfContent(buffer);
+  if (check.isValid) return null;
+  const looksLikeHtml = /^\s*</.test(buffer.toString("latin1", 0, 64));
+  return new ContentTypeError(
+    `${looksLikeHtml ? "Got an HTML page" : check.error} instead of a PDF: ${url}`,
+    { url, contentType, reason: check.error }
+  );
+}
+
+/**
+ * The checks of checkResponseHeaders and createDownloadGuard for a body that
+ * is already in memory, e.g. an HTTP cache entry.
+ * @returns {Error|null} ContentTypeError or SizeLimitError, or null if the body passes
+ */
+function checkDownloadedBody(url, body, headers = {}, { maxSize = null, expectPdf = false } = {}) {
+  try {
+    checkResponseHeaders(url, headers, { maxSize, expectPdf });
+  } catch (error) {
+    return error;
+  }
+  if (maxSize && body.length > maxSize) {
+    return new SizeLimitError(`Download exceeds the ${maxSize} byte limit: ${url}`, { url, maxSize, size: body.length });
+  }
+  return expectPdf ? pdfSignatureError(url, body, headers["content-type"] || null) : null;
+}
+
+/**
+ * Stream stage that aborts a download once it passes maxSize bytes and, with
+ * expectPdf, unless the body starts with the %PDF- signature. The first
+ * PDF_SNIFF_BYTES are held back until they have been checked, so nothing of
+ * a rejected body is written.
+ */
+function createDownloadGuard(url, { maxSize = null, expectPdf = false, contentType = null } = {}) {
+  let size = 0;
+  let head = expectPdf ? [] : null;
+  let headSize = 0;
+
+  const releaseHead = (stream) => {
+    const buffer = Buffer.concat(head);
+    head = null;
+    const error = pdfSignatureError(url, buffer, contentType);
+    if (!error) stream.push(buffer);
+    return error;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxSize && size > maxSize) {
+        callback(new SizeLimitError(`Download exceeds the ${maxSize} byte limit: ${url}`, { url, maxSize }));
+        return;
+      }
+      if (!head) {
+        callback(null, chunk);
+        return;
+      }
+      head.push(chunk);
+      headSize += chunk.length;
+      callback(headSize >= PDF_SNIFF_BYTES ? releaseHead(this) : null);
+    },
+    flush(callback) {
+      callback(head ? releaseHead(this) : null);
+    },
+  });
+}
+
 async function downloadFile(url, outputPath, options = {}) {
   try {
     const dir = path.dirname(outputPath);
     await ensureDirectoryExists(dir);
 
+    const guard = { maxSize: options.maxSize, expectPdf: options.expectPdf };
+    const cache = options.cache === false ? null : require("./httpCache").globalHttpCache;
+    let cached = cache ? await cache.lookup(url) : { entry: null, usable: false, headers: {} };
+    if (cached.entry) {
+      // Entries stored before these checks existed are checked here; a failing
+      // one is fetched again without conditional headers.
+      const error = checkDownloadedBody(url, cached.entry.body, cached.entry.meta.headers, guard);
+      if (error) {
+        logWarn(`Ignoring cached copy: ${error.message}`);
+        cached = { entry: null, usable: false, headers: {} };
+      }
+    }
+    if (cached.usable) {
+      await fs.writeFile(outputPath, cached.entry.body);
+      logInfo(`Serving from HTTP cache: ${url}`);
+      return { path: outputPath, size: cached.entry.body.length, url, mimeType: cached.entry.meta.headers["content-type"], fromCache: true };
+    }
+
+    if (options.rateLimit) {
+      await globalRateLimiter.waitForRateLimit(new URL(url).hostname);
+    }
+
     logInfo(`Downloading: ${url}`);
 
     const axiosConfig = {
@@ -56,10 +175,19 @@ async function downloadFile(url, outputPath, options = {}) {
           options.userAgent ||
           "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
         ...options.headers,
+        ...cached.headers,
       },
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
     };
 
-    const response = await axios(axiosConfig);
+    const response = await httpClient(axiosConfig);
+
+    if (response.status === 304 && cached.entry) {
+      response.data.destroy();
+      const refreshed = await cache.revalidate(url, cached.entry, response.headers);
+      await fs.writeFile(outputPath, refreshed.body);
+      return { path: outputPath, size: refreshed.body.length, url, mimeType: refreshed.meta.headers["content-type"], fromCache: true };
+    }
 
     if (response.status !== 200) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -71,15 +199,26 @@ async function downloadFile(url, outputPath, options = {}) {
       if (ext) outputPath += `.${ext}`;
     }
 
+    try {
+      checkResponseHeaders(url, response.headers, guard);
+    } catch (error) {
+      response.data.destroy();
+      throw error;
+    }
+
     const writer = createWriteStream(outputPath);
-    await pipeline(response.data, writer);
+    await pipeline(response.data, createDownloadGuard(url, { ...guard, contentType: mimeType }), writer);
+    if (cache) await cache.storeFile(url, response, outputPath);
 
     logSuccess(`File downloaded successfully: ${outputPath}`);
 
     const stats = await fs.stat(outputPath);
     return { path: outputPath, size: stats.size, url, mimeType };
   } catch (error) {
-    logError(`Error downloading ${url}`, error);
+    // Rejected downloads are reported by the caller
+    if (!(error instanceof ContentTypeError || error instanceof SizeLimitError)) {
+      logError(`Error downloading ${url}`, error);
+    }
     try {
       await fs.unlink(outputPath);
     } catch (_) {}
@@ -279,6 +418,9 @@ async function saveAsText(filePath, data) {
 module.exports = {
   saveJSON,
   downloadFile,
+  checkResponseHeaders,
+  checkDownloadedBody,
+  createDownloadGuard,
   ensureDirectoryExists,
   readJSON,
   fileExists,
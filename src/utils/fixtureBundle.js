@@ -0,0 +1,253 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const axios = require("axios");
+const settings = require("../config/settings");
+const { CacheMissError } = require("./errorHandler");
+const { httpClient } = require("./httpClient");
+const { globalHttpCache } = require("./httpCache");
+const { globalPdfStore } = require("./pdfStore");
+const { logInfo, logSuccess } = require("./logger");
+
+const { AxiosError, AxiosHeaders } = axios;
+const INDEX_FILE = "exchanges.json";
+
+/**
+ * A fixture bundle is a directory holding every HTTP exchange of a run:
+ * exchanges.json (method, URL, status, headers, body reference, in request
+ * order) and bodies/<sha256>.bin with the raw, decompressed response bytes.
+ */
+class FixtureBundle {
+  constructor(directory) {
+    this.directory = directory;
+    this.exchanges = [];
+    this.cursors = new Map();
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Bare names live under settings.paths.fixtures; anything path-like is used as-is.
+   */
+  static resolvePath(nameOrPath) {
+    if (path.isAbsolute(nameOrPath) || nameOrPath.includes("/") || nameOrPath.includes("\\")) {
+      return path.resolve(nameOrPath);
+    }
+    return path.resolve(__dirname, "../..", settings.paths.fixtures, nameOrPath);
+  }
+
+  static key(method, url) {
+    return `${String(method || "get").toUpperCase()} ${url}`;
+  }
+
+  async load() {
+    const index = JSON.parse(await fs.readFile(path.join(this.directory, INDEX_FILE), "utf8"));
+    this.exchanges = index.exchanges || [];
+    this.cursors.clear();
+    return this;
+  }
+
+  async reset() {
+    await fs.mkdir(path.join(this.directory, "bodies"), { recursive: true });
+    this.exchanges = [];
+    this.cursors.clear();
+    await this.save();
+    return this;
+  }
+
+  async save() {
+    const index = {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      exchanges: this.exchanges,
+    };
+    await fs.writeFile(path.join(this.directory, INDEX_FILE), JSON.stringify(index, null, 2));
+  }
+
+  add(exchange, body = null) {
+    const record = { id: this.exchanges.length + 1, ...exchange, body: null, size: 0, sha256: null };
+    this.exchanges.push(record);
+
+    this.pending = this.pending.then(async () => {
+      if (body) {
+        const sha256 = crypto.createHash("sha256").update(body).digest("hex");
+        record.body = `bodies/${sha256}.bin`;
+        record.size = body.length;
+        record.sha256 = sha256;
+        await fs.writeFile(path.join(this.directory, record.body), body);
+      }
+      await this.save();
+    });
+    return this.pending;
+  }
+
+  flush() {
+    return this.pending;
+  }
+
+  /**
+   * Returns the next recorded exchange for method + URL. Repeated requests are
+   * answered in recording order; once exhausted the last exchange is reused.
+   */
+  match(method, url) {
+    const key = FixtureBundle.key(method, url);
+    const candidates = this.exchanges.filter((exchange) => FixtureBundle.key(exchange.method, exchange.url) === key);
+    if (candidates.length === 0) return null;
+
+    const cursor = this.cursors.get(key) || 0;
+    this.cursors.set(key, cursor + 1);
+    return candidates[Math.min(cursor, candidates.length - 1)];
+  }
+
+  async readBody(exchange) {
+    if (!exchange.body) return Buffer.alloc(0);
+    return fs.readFile(path.join(this.directory, exchange.body));
+  }
+}
+
+function requestUrl(config) {
+  return axios.getUri(config);
+}
+
+/**
+ * Shapes recorded bytes the way the http adapter would for config.responseType
+ * and applies config.validateStatus.
+ */
+function buildResponse(config, exchange, body) {
+  let data;
+  if (config.responseType === "stream") {
+    data = Readable.from(body.length > 0 ? [body] : []);
+  } else if (config.responseType === "arraybuffer") {
+    data = body;
+  } else {
+    data = body.toString(config.responseEncoding || "utf8");
+  }
+
+  const response = {
+    data,
+    status: exchange.status,
+    statusText: exchange.statusText || "",
+    headers: new AxiosHeaders(exchange.headers || {}),
+    config,
+    request: {},
+  };
+
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function createRecordingAdapter(bundle, adapter) {
+  return async (config) => {
+    const url = requestUrl(config);
+    const method = String(config.method || "get").toUpperCase();
+    let response;
+
+    try {
+      response = await adapter({
+        ...config,
+        responseType: config.responseType === "stream" ? "stream" : "arraybuffer",
+        validateStatus: null,
+      });
+    } catch (error) {
+      await bundle.add({ method, url, error: { code: error.code || null, message: error.message } });
+      throw error;
+    }
+
+    const body = config.responseType === "stream" ? await readStream(response.data) : Buffer.from(response.data || "");
+    const exchange = {
+      method,
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers.toJSON(),
+    };
+    await bundle.add(exchange, body.length > 0 ? body : null);
+    return buildResponse(config, exchange, body);
+  };
+}
+
+function createReplayAdapter(bundle) {
+  return async (config) => {
+    const url = requestUrl(config);
+    const method = String(config.method || "get").toUpperCase();
+    const exchange = bundle.match(method, url);
+
+    if (!exchange) {
+      throw new CacheMissError(`Replay: no recorded response for ${method} ${url}`, { url, method });
+    }
+    if (exchange.error) {
+      throw new AxiosError(exchange.error.message, exchange.error.code, config);
+    }
+    return buildResponse(config, exchange, await bundle.readBody(exchange));
+  };
+}
+
+const originalAdapter = httpClient.defaults.adapter;
+let activeBundle = null;
+
+function install(bundle, adapter) {
+  activeBundle = bundle;
+  httpClient.defaults.adapter = adapter;
+  // The HTTP cache and PDF store would answer some requests from disk (or make
+  // them conditional) and hide them from the bundle.
+  globalHttpCache.enabled = false;
+  globalPdfStore.options.enabled = false;
+}
+
+/**
+ * Records every request made through httpClient into a fresh fixture bundle.
+ * @param {string} nameOrPath - Bundle name (under data/fixtures) or directory
+ */
+async function startRecording(nameOrPath) {
+  const bundle = await new FixtureBundle(FixtureBundle.resolvePath(nameOrPath)).reset();
+  install(bundle, createRecordingAdapter(bundle, axios.getAdapter(originalAdapter)));
+  logInfo(`Recording HTTP exchanges to ${bundle.directory}`);
+  return bundle;
+}
+
+/**
+ * Serves every request made through httpClient from a recorded fixture bundle.
+ * Requests that were never recorded fail with CacheMissError.
+ * @param {string} nameOrPath - Bundle name (under data/fixtures) or directory
+ */
+async function startReplay(nameOrPath) {
+  const bundle = await new FixtureBundle(FixtureBundle.resolvePath(nameOrPath)).load();
+  install(bundle, createReplayAdapter(bundle));
+  logInfo(`Replaying ${bundle.exchanges.length} recorded HTTP exchanges from ${bundle.directory}`);
+  return bundle;
+}
+
+async function stopFixtures() {
+  if (!activeBundle) return;
+  await activeBundle.flush();
+  logSuccess(`Fixture bundle ${activeBundle.directory}: ${activeBundle.exchanges.length} exchanges`);
+  httpClient.defaults.adapter = originalAdapter;
+  globalHttpCache.enabled = settings.httpCache.enabled;
+  globalPdfStore.options.enabled = settings.pdf.store.enabled;
+  activeBundle = null;
+}
+
+module.exports = {
+  FixtureBundle,
+  createReplayAdapter,
+  startRecording,
+  startReplay,
+  stopFixtures,
+};
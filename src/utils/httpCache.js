@@ -0,0 +1,207 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const settings = require("../config/settings");
+const { normalizeUrl } = require("../crawler/linkHandler");
+const { CacheMissError } = require("./errorHandler");
+const { logInfo, logWarn } = require("./logger");
+
+const MODES = ["default", "cache-only"];
+
+/**
+ * On-disk HTTP cache keyed by normalized URL. Each entry is a pair of files:
+ * <key>.json (status, headers, validators, timestamps) and <key>.body (raw bytes).
+ *
+ * Modes:
+ *  - default:    fresh entries (younger than maxAgeMs) are served directly, stale
+ *                ones are revalidated with If-None-Match / If-Modified-Since.
+ *  - cache-only: never touches the network; misses raise CacheMissError.
+ */
+class HttpCache {
+  constructor(options = {}) {
+    const config = { ...settings.httpCache, ...options };
+    this.enabled = config.enabled !== false;
+    this.maxAgeMs = config.maxAgeMs;
+    this.directory = config.cacheDir || path.resolve(__dirname, "../..", settings.paths.raw, config.directory);
+    this.setMode(config.mode);
+  }
+
+  setMode(mode) {
+    if (!MODES.includes(mode)) {
+      logWarn(`Unknown HTTP cache mode "${mode}", falling back to "default"`);
+      mode = "default";
+    }
+    this.mode = mode;
+    if (mode === "cache-only") this.enabled = true;
+  }
+
+  isOffline() {
+    return this.mode === "cache-only";
+  }
+
+  keyFor(url) {
+    const normalized = normalizeUrl(url) || url;
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  pathsFor(url) {
+    const key = this.keyFor(url);
+    return {
+      meta: path.join(this.directory, `${key}.json`),
+      body: path.join(this.directory, `${key}.body`),
+    };
+  }
+
+  async get(url) {
+    if (!this.enabled) return null;
+    const paths = this.pathsFor(url);
+    try {
+      const meta = JSON.parse(await fs.readFile(paths.meta, "utf8"));
+      const body = await fs.readFile(paths.body);
+      return { meta, body };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logWarn(`Ignoring unreadable HTTP cache entry for ${url}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  isFresh(entry) {
+    return Date.now() - entry.meta.storedAt < this.maxAgeMs;
+  }
+
+  /**
+   * Resolves how a request for the URL should be made.
+   * @returns {Promise<Object>} { entry, usable, headers } — when usable is true the
+   *   entry can be served without a request; headers are the conditional request headers.
+   */
+  async lookup(url) {
+    if (!this.enabled) {
+      return { entry: null, usable: false, headers: {} };
+    }
+
+    const entry = await this.get(url);
+
+    if (this.isOffline()) {
+      if (!entry) {
+        throw new CacheMissError(`Offline mode: ${url} is not in the HTTP cache`, { url });
+      }
+      return { entry, usable: true, headers: {} };
+    }
+
+    if (!entry) {
+      return { entry: null, usable: false, headers: {} };
+    }
+
+    if (this.isFresh(entry)) {
+      return { entry, usable: true, headers: {} };
+    }
+
+    const headers = {};
+    if (entry.meta.etag) headers["If-None-Match"] = entry.meta.etag;
+    if (entry.meta.lastModified) headers["If-Modified-Since"] = entry.meta.lastModified;
+    return { entry, usable: false, headers };
+  }
+
+  isCacheable(status, headers = {}) {
+    const cacheControl = String(headers["cache-control"] || "");
+    return this.enabled && status === 200 && !/no-store/i.test(cacheControl);
+  }
+
+  buildMeta(url, status, headers, size) {
+    const plainHeaders = typeof headers.toJSON === "function" ? headers.toJSON() : { ...headers };
+    return {
+      url,
+      status,
+      headers: plainHeaders,
+      etag: plainHeaders.etag || null,
+      lastModified: plainHeaders["last-modified"] || null,
+      size,
+      storedAt: Date.now(),
+    };
+  }
+
+  async store(url, response, body) {
+    if (!this.isCacheable(response.status, response.headers)) return;
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      const paths = this.pathsFor(url);
+      await fs.writeFile(paths.body, body);
+      await fs.writeFile(paths.meta, JSON.stringify(this.buildMeta(url, response.status, response.headers, body.length), null, 2));
+    } catch (error) {
+      logWarn(`Failed to write HTTP cache entry for ${url}: ${error.message}`);
+    }
+  }
+
+  async storeFile(url, response, filePath) {
+    if (!this.isCacheable(response.status, response.headers)) return;
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      const paths = this.pathsFor(url);
+      await fs.copyFile(filePath, paths.body);
+      const { size } = await fs.stat(paths.body);
+      await fs.writeFile(paths.meta, JSON.stringify(this.buildMeta(url, response.status, response.headers, size), null, 2));
+    } catch (error) {
+      logWarn(`Failed to write HTTP cache entry for ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handles a 304 Not Modified: refreshes the entry's timestamp and validators.
+   * @returns {Promise<Object>} The refreshed entry
+   */
+  async revalidate(url, entry, headers = {}) {
+    const plainHeaders = typeof headers.toJSON === "function" ? headers.toJSON() : { ...headers };
+    const meta = {
+      ...entry.meta,
+      headers: { ...entry.meta.headers, ...plainHeaders },
+      etag: plainHeaders.etag || entry.meta.etag,
+      lastModified: plainHeaders["last-modified"] || entry.meta.lastModified,
+      storedAt: Date.now(),
+    };
+    try {
+      await fs.writeFile(this.pathsFor(url).meta, JSON.stringify(meta, null, 2));
+    } catch (error) {
+      logWarn(`Failed to refresh HTTP cache entry for ${url}: ${error.message}`);
+    }
+    logInfo(`Not modified, using cached copy: ${url}`);
+    return { meta, body: entry.body };
+  }
+
+  async has(url) {
+    const entry = await this.get(url);
+    return Boolean(entry) && (this.isOffline() || this.isFresh(entry));
+  }
+}
+
+const globalHttpCache = new HttpCache();
+
+/**
+ * GET through the cache for small resources (robots.txt, sitemaps).
+ * `send(headers)` performs the request; it must resolve 304 responses and
+ * return raw bytes (responseType "arraybuffer").
+ * @returns {Promise<Object>} { status, headers, body, fromCache }
+ */
+async function cachedGet(url, send, cache = globalHttpCache) {
+  const { entry, usable, headers } = await cache.lookup(url);
+  if (usable) {
+    return { status: entry.meta.status, headers: entry.meta.headers, body: entry.body, fromCache: true };
+  }
+
+  const response = await send(headers);
+  if (response.status === 304 && entry) {
+    const refreshed = await cache.revalidate(url, entry, response.headers);
+    return { status: refreshed.meta.status, headers: refreshed.meta.headers, body: refreshed.body, fromCache: true };
+  }
+
+  const body = Buffer.from(response.data || "");
+  await cache.store(url, response, body);
+  return { status: response.status, headers: response.headers, body, fromCache: false };
+}
+
+module.exports = {
+  HttpCache,
+  globalHttpCache,
+  cachedGet,
+};
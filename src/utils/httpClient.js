@@ -0,0 +1,204 @@
+const fs = require("fs");
+const https = require("https");
+const tls = require("tls");
+const axios = require("axios");
+const { HttpProxyAgent } = require("http-proxy-agent");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const settings = require("../config/settings");
+const { ValidationError } = require("./errorHandler");
+const { globalCookieSession } = require("./cookieJar");
+const { logInfo, logWarn } = require("./logger");
+
+function redact(proxyUrl) {
+  const url = new URL(proxyUrl);
+  if (url.password) url.password = "***";
+  return url.href;
+}
+
+function hostMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Proxy and TLS settings for outgoing requests, taken from `settings.http`.
+ * Every request made through the shared axios instance gets an agent chosen
+ * here: a per-domain proxy rule wins, then the HTTP(S)_PROXY / NO_PROXY
+ * environment, otherwise a direct connection. Custom CA and client
+ * certificates apply to direct and proxied connections alike.
+ */
+class HttpTransport {
+  constructor(config = settings.http) {
+    this.options = {
+      ...config,
+      proxy: { domains: {}, noProxy: [], ...config.proxy },
+      tls: { rejectUnauthorized: true, ...config.tls },
+    };
+    this.agents = new Map();
+    this.loggedProxies = new Set();
+    this.tlsOptions = null;
+  }
+
+  /**
+   * ca/cert/key are read once, on the first request. A custom CA is added to
+   * Node's bundled roots rather than replacing them.
+   */
+  getTlsOptions() {
+    if (this.tlsOptions) return this.tlsOptions;
+
+    const { caFile, certFile, keyFile, passphrase, rejectUnauthorized } = this.options.tls;
+    const read = (file) => {
+      try {
+        return fs.readFileSync(file);
+      } catch (error) {
+        throw new ValidationError(`Cannot read TLS file ${file}: ${error.message}`, { file });
+      }
+    };
+
+    const options = {};
+    if (caFile) options.ca = [...tls.rootCertificates, read(caFile)];
+    if (certFile) options.cert = read(certFile);
+    if (keyFile) options.key = read(keyFile);
+    if (passphrase) options.passphrase = passphrase;
+    if (rejectUnauthorized === false) {
+      options.rejectUnauthorized = false;
+      logWarn("TLS certificate verification is disabled (HTTP_REJECT_UNAUTHORIZED=false)");
+    }
+    this.tlsOptions = options;
+    return options;
+  }
+
+  withAuth(proxyUrl, auth) {
+    const url = new URL(proxyUrl);
+    if (auth && auth.username && !url.username) {
+      url.username = encodeURIComponent(auth.username);
+      url.password = encodeURIComponent(auth.password || "");
+    }
+    return url.href;
+  }
+
+  /**
+   * Returns the per-domain rule for a hostname (subdomains included), or
+   * undefined if no rule applies. A rule is a proxy URL, `{ url, username,
+   * password }`, or false for a direct connection.
+   */
+  domainRule(hostname) {
+    const domains = Object.keys(this.options.proxy.domains)
+      .filter((domain) => hostMatches(hostname, domain.toLowerCase()))
+      .sort((a, b) => b.length - a.length);
+    return domains.length > 0 ? this.options.proxy.domains[domains[0]] : undefined;
+  }
+
+  /**
+   * NO_PROXY entries: "*", "host", ".host" / "*.host" (subdomains) and
+   * optionally ":port".
+   */
+  isNoProxy(hostname, port) {
+    return this.options.proxy.noProxy.some((entry) => {
+      if (entry === "*") return true;
+      const [host, entryPort] = entry.toLowerCase().replace(/^\*?\./, "").split(":");
+      if (entryPort && entryPort !== port) return false;
+      return hostMatches(hostname, host);
+    });
+  }
+
+  /**
+   * @returns {string|null} Proxy URL (with credentials) for a request URL
+   */
+  proxyFor(url) {
+    const { hostname, protocol, port } = new URL(url);
+    const host = hostname.toLowerCase();
+    const { proxy } = this.options;
+
+    const rule = this.domainRule(host);
+    if (rule === false || rule === null) return null;
+    if (rule) {
+      return typeof rule === "string"
+        ? this.withAuth(rule, proxy.auth)
+        : this.withAuth(rule.url, rule.username ? rule : proxy.auth);
+    }
+
+    const envProxy = protocol === "https:" ? proxy.https : proxy.http;
+    const defaultPort = protocol === "https:" ? "443" : "80";
+    if (!envProxy || this.isNoProxy(host, port || defaultPort)) return null;
+    return this.withAuth(envProxy, proxy.auth);
+  }
+
+  /**
+   * @returns {Object|undefined} Agent for the URL, or undefined when Node's
+   * default agent will do (direct connection, no custom TLS settings).
+   */
+  agentFor(url) {
+    const { protocol } = new URL(url);
+    const proxyUrl = this.proxyFor(url);
+    const tlsOptions = protocol === "https:" ? this.getTlsOptions() : {};
+    if (!proxyUrl && Object.keys(tlsOptions).length === 0) return undefined;
+
+    const key = `${protocol}${proxyUrl || "direct"}`;
+    if (!this.agents.has(key)) {
+      let agent;
+      if (!proxyUrl) {
+        agent = new https.Agent({ keepAlive: true, ...tlsOptions });
+      } else if (protocol === "https:") {
+        agent = new HttpsProxyAgent(proxyUrl, { keepAlive: true, ...tlsOptions });
+      } else {
+        agent = new HttpProxyAgent(proxyUrl, { keepAlive: true });
+      }
+      if (proxyUrl && !this.loggedProxies.has(proxyUrl)) {
+        this.loggedProxies.add(proxyUrl);
+        logInfo(`Using proxy ${redact(proxyUrl)}`);
+      }
+      this.agents.set(key, agent);
+    }
+    return this.agents.get(key);
+  }
+
+  /**
+   * Axios request interceptor. axios's own proxy support is switched off:
+   * it does not tunnel HTTPS through CONNECT.
+   */
+  apply(config) {
+    const url = new URL(config.url, config.baseURL);
+    const agentForScheme = (scheme) => this.agentFor(`${scheme}//${url.host}${url.pathname}`);
+    config.proxy = false;
+    config.httpAgent = agentForScheme("http:");
+    config.httpsAgent = agentForScheme("https:");
+
+    // A redirect can lead to a host with a different proxy rule.
+    const beforeRedirect = config.beforeRedirect;
+    config.beforeRedirect = (options, responseDetails) => {
+      const target = `${options.protocol}//${options.host}${options.pathname || "/"}`;
+      options.agents = {
+        http: this.agentFor(target.replace(/^https:/, "http:")),
+        https: this.agentFor(target.replace(/^http:/, "https:")),
+      };
+      if (beforeRedirect) beforeRedirect(options, responseDetails);
+    };
+    return config;
+  }
+}
+
+const globalHttpTransport = new HttpTransport();
+
+// Modules that make HTTP requests use this instead of requiring axios
+// directly, so proxy/TLS settings and cookies apply to every request. Other
+// code using axios is unaffected; recording and replay install their adapter
+// on this instance's defaults (see fixtureBundle.js).
+const httpClient = axios.create();
+httpClient.interceptors.request.use((config) => globalHttpTransport.apply(config));
+httpClient.interceptors.request.use((config) => globalCookieSession.attach(config));
+httpClient.interceptors.response.use(
+  async (response) => {
+    await globalCookieSession.collect(response);
+    return response;
+  },
+  async (error) => {
+    await globalCookieSession.collect(error.response);
+    throw error;
+  }
+);
+
+module.exports = {
+  HttpTransport,
+  globalHttpTransport,
+  httpClient,
+};
@@ -0,0 +1,311 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { createWriteStream } = require("fs");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const settings = require("../config/settings");
+const { normalizeUrl } = require("../crawler/linkHandler");
+const { httpClient } = require("./httpClient");
+const { globalHttpCache } = require("./httpCache");
+const { withRateLimit } = require("./rateLimiter");
+const { CacheMissError, SizeLimitError } = require("./errorHandler");
+const { checkResponseHeaders, createDownloadGuard } = require("./fileUtils");
+const { logInfo, logWarn } = require("./logger");
+
+const INDEX_FILE = "index.json";
+
+// Bump when text extraction changes so cached text is parsed again.
+const TEXT_VERSION = 4;
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Content-addressed store for downloaded PDFs, under settings.paths.pdfs:
+ *   index.json                       URL → { sha256, etag, lastModified, ... }
+ *   blobs/<ab>/<sha256>.pdf          the file, stored once however many URLs serve it
+ *   blobs/<ab>/<sha256>.text.json    extracted text, reused while parse options match
+ *
+ * A known URL is fetched with If-None-Match / If-Modified-Since, so an
+ * unchanged PDF is not downloaded again; one downloaded again with the same
+ * bytes keeps its hash and its cached text. In offline mode known URLs are
+ * served from the store. `gc()` prunes entries and unreferenced blobs.
+ */
+class PdfStore {
+  constructor(config = settings.pdf.store) {
+    this.options = {
+      enabled: true,
+      retentionDays: 90,
+      ...config,
+    };
+    this.directory = this.options.directory || path.resolve(__dirname, "../..", settings.paths.pdfs);
+    this.index = null;
+    this.writes = Promise.resolve();
+  }
+
+  keyFor(url) {
+    return normalizeUrl(url) || url;
+  }
+
+  blobPath(sha256) {
+    return path.join(this.directory, "blobs", sha256.slice(0, 2), `${sha256}.pdf`);
+  }
+
+  textPath(sha256) {
+    return path.join(this.directory, "blobs", sha256.slice(0, 2), `${sha256}.text.json`);
+  }
+
+  async loadIndex() {
+    if (!this.index) {
+      this.index = (async () => {
+        try {
+          return JSON.parse(await fs.readFile(path.join(this.directory, INDEX_FILE), "utf8"));
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            logWarn(`Ignoring unreadable PDF store index: ${error.message}`);
+          }
+          return { urls: {} };
+        }
+      })();
+    }
+    return this.index;
+  }
+
+  /**
+   * Writes are chained so an older index never lands after a newer one.
+   */
+  saveIndex(index) {
+    const write = this.writes.then(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const indexPath = path.join(this.directory, INDEX_FILE);
+      await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index, null, 2), "utf8");
+      await fs.rename(`${indexPath}.tmp`, indexPath);
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Index entry for the URL, if its blob is present
+   */
+  async lookup(url) {
+    if (!this.options.enabled) return null;
+    const index = await this.loadIndex();
+    const entry = index.urls[this.keyFor(url)];
+    if (!entry || (await fileSize(this.blobPath(entry.sha256))) === null) return null;
+    return entry;
+  }
+
+  async has(url) {
+    return Boolean(await this.lookup(url));
+  }
+
+  /**
+   * Makes sure the store holds the current version of a PDF.
+   * @param {string} url - PDF URL
+   * @param {Object} options - { timeout, maxSize, userAgent }
+   * @returns {Promise<Object>} { sha256, path, size, downloaded, changed }
+   */
+  async fetch(url, options = {}) {
+    const index = await this.loadIndex();
+    const key = this.keyFor(url);
+    const known = await this.lookup(url);
+    const maxSize = options.maxSize || settings.pdf.maxSizeBytes;
+    // The size limit can differ per card, so a stored copy is held to it too
+    const checkStoredSize = () => {
+      if (known.size > maxSize) {
+        throw new SizeLimitError(`Stored PDF of ${known.size} bytes exceeds the ${maxSize} byte limit: ${url}`, {
+          url,
+          maxSize,
+          size: known.size,
+        });
+      }
+    };
+
+    if (globalHttpCache.isOffline()) {
+      if (!known) {
+        throw new CacheMissError(`Offline mode: ${url} is not in the PDF store`, { url });
+      }
+      checkStoredSize();
+      logInfo(`Serving PDF from store: ${url}`);
+      return this.result(known, { downloaded: false, changed: false });
+    }
+
+    const headers = { "User-Agent": options.userAgent || settings.crawler.userAgent };
+    if (known && known.etag) headers["If-None-Match"] = known.etag;
+    if (known && known.lastModified) headers["If-Modified-Since"] = known.lastModified;
+
+    const response = await withRateLimit(new URL(url).hostname, () =>
+      httpClient({
+        method: "GET",
+        url,
+        responseType: "stream",
+        timeout: options.timeout || settings.pdf.timeout,
+        headers,
+        validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(known)),
+      })
+    );
+
+    if (response.status === 304) {
+      response.data.destroy();
+      checkStoredSize();
+      index.urls[key] = { ...known, checkedAt: new Date().toISOString() };
+      await this.saveIndex(index);
+      logInfo(`PDF not modified, using stored copy: ${url}`);
+      return this.result(known, { downloaded: false, changed: false });
+    }
+
+    const guard = {
+      maxSize,
+      expectPdf: true,
+      contentType: response.headers["content-type"] || null,
+    };
+    try {
+      checkResponseHeaders(url, response.headers, guard);
+    } catch (error) {
+      response.data.destroy();
+      throw error;
+    }
+
+    const { sha256, size } = await this.storeStream(response.data, createDownloadGuard(url, guard));
+    const now = new Date().toISOString();
+    const entry = {
+      url,
+      sha256,
+      size,
+      contentType: response.headers["content-type"] || null,
+      etag: response.headers.etag || null,
+      lastModified: response.headers["last-modified"] || null,
+      fetchedAt: now,
+      checkedAt: now,
+    };
+    index.urls[key] = entry;
+    await this.saveIndex(index);
+
+    const changed = !known || known.sha256 !== sha256;
+    logInfo(`PDF ${changed ? "stored" : "unchanged"}: ${url} (sha256 ${sha256.slice(0, 12)}…)`);
+    return this.result(entry, { downloaded: true, changed });
+  }
+
+  result(entry, flags) {
+    return { sha256: entry.sha256, path: this.blobPath(entry.sha256), size: entry.size, ...flags };
+  }
+
+  /**
+   * Streams a body into the store, hashing it on the way.
+   * @param {Stream} stream - Response body
+   * @param {Transform} guard - Size and signature check (see createDownloadGuard)
+   * @returns {Promise<Object>} { sha256, size }
+   */
+  async storeStream(stream, guard) {
+    const tempDirectory = path.join(this.directory, "tmp");
+    await fs.mkdir(tempDirectory, { recursive: true });
+    const tempPath = path.join(tempDirectory, `${crypto.randomUUID()}.part`);
+
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(stream, guard, hasher, createWriteStream(tempPath));
+      const sha256 = hash.digest("hex");
+      const blobPath = this.blobPath(sha256);
+      if ((await fileSize(blobPath)) === null) {
+        await fs.mkdir(path.dirname(blobPath), { recursive: true });
+        await fs.rename(tempPath, blobPath);
+      } else {
+        await fs.unlink(tempPath);
+      }
+      return { sha256, size };
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Parse result stored for the blob with the same options
+   */
+  async readText(sha256, parseOptions = {}) {
+    try {
+      const cached = JSON.parse(await fs.readFile(this.textPath(sha256), "utf8"));
+      const sameOptions = JSON.stringify(cached.parseOptions) === JSON.stringify(parseOptions);
+      return cached.version === TEXT_VERSION && sameOptions ? cached.result : null;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logWarn(`Ignoring unreadable PDF text cache for ${sha256}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async writeText(sha256, parseOptions, result) {
+    try {
+      const data = { version: TEXT_VERSION, sha256, parseOptions, result };
+      await fs.writeFile(this.textPath(sha256), JSON.stringify(data), "utf8");
+    } catch (error) {
+      logWarn(`Failed to cache PDF text for ${sha256}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drops index entries not checked for `retentionDays` (or whose blob is
+   * gone), then deletes blobs and cached text no entry refers to.
+   * @returns {Promise<Object>} { entriesRemoved, entriesKept, blobsRemoved, bytesFreed }
+   */
+  async gc({ retentionDays = this.options.retentionDays } = {}) {
+    const index = await this.loadIndex();
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let entriesRemoved = 0;
+
+    for (const [key, entry] of Object.entries(index.urls)) {
+      const missing = (await fileSize(this.blobPath(entry.sha256))) === null;
+      if (missing || Date.parse(entry.checkedAt) < cutoff) {
+        delete index.urls[key];
+        entriesRemoved++;
+      }
+    }
+    await this.saveIndex(index);
+
+    const referenced = new Set(Object.values(index.urls).map((entry) => entry.sha256));
+    let blobsRemoved = 0;
+    let bytesFreed = 0;
+    const blobsDirectory = path.join(this.directory, "blobs");
+    const shards = await fs.readdir(blobsDirectory).catch(() => []);
+    for (const shard of shards) {
+      const shardDirectory = path.join(blobsDirectory, shard);
+      for (const file of await fs.readdir(shardDirectory)) {
+        const sha256 = file.split(".")[0];
+        if (referenced.has(sha256)) continue;
+        const filePath = path.join(shardDirectory, file);
+        bytesFreed += (await fileSize(filePath)) || 0;
+        await fs.rm(filePath, { force: true });
+        if (file.endsWith(".pdf")) blobsRemoved++;
+      }
+      if ((await fs.readdir(shardDirectory)).length === 0) await fs.rmdir(shardDirectory);
+    }
+    await fs.rm(path.join(this.directory, "tmp"), { recursive: true, force: true });
+
+    return { entriesRemoved, entriesKept: Object.keys(index.urls).length, blobsRemoved, bytesFreed };
+  }
+}
+
+const globalPdfStore = new PdfStore();
+
+module.exports = {
+  PdfStore,
+  globalPdfStore,
+};
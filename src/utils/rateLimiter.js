@@ -47,6 +47,31 @@ class DomainRateLimiter {
     };
     this.limiters = new Map();
     this.lastRequestTime = new Map();
+    this.crawlDelays = new Map();
+    this.minDelays = new Map();
+    this.pending = new Map();
+  }
+
+  setCrawlDelay(domain, delayMs) {
+    if (!delayMs || delayMs <= 0) return;
+    this.crawlDelays.set(domain, delayMs);
+  }
+
+  /**
+   * Cards crawled in one process share this limiter, so a domain keeps the
+   * strictest delay any of them asked for.
+   */
+  setMinDelay(domain, delayMs) {
+    if (!delayMs || delayMs <= 0) return;
+    this.minDelays.set(domain, Math.max(this.minDelays.get(domain) || 0, delayMs));
+  }
+
+  getMinDelay(domain) {
+    return Math.max(
+      this.options.minDelayMs,
+      this.minDelays.get(domain) || 0,
+      this.crawlDelays.get(domain) || 0
+    );
   }
 
   getLimiter(domain) {
@@ -60,13 +85,25 @@ class DomainRateLimiter {
     return this.limiters.get(domain);
   }
 
-  async waitForRateLimit(domain) {
+  /**
+   * Resolves when the next request to the domain may start. Concurrent callers
+   * are queued per domain so each one observes the previous caller's start time.
+   */
+  waitForRateLimit(domain) {
+    const previous = this.pending.get(domain) || Promise.resolve();
+    const turn = previous.then(() => this.acquire(domain));
+    this.pending.set(domain, turn.catch(() => {}));
+    return turn;
+  }
+
+  async acquire(domain) {
     const limiter = this.getLimiter(domain);
     const lastRequest = this.lastRequestTime.get(domain) || 0;
     const now = Date.now();
     const timeSinceLastRequest = now - lastRequest;
-    if (timeSinceLastRequest < this.options.minDelayMs) {
-      await this.delay(this.options.minDelayMs - timeSinceLastRequest);
+    const minDelay = this.getMinDelay(domain);
+    if (timeSinceLastRequest < minDelay) {
+      await this.delay(minDelay - timeSinceLastRequest);
     }
     while (!limiter.tryTake()) {
       const waitTime = Math.min(
@@ -82,6 +119,9 @@ class DomainRateLimiter {
   clearDomain(domain) {
     this.limiters.delete(domain);
     this.lastRequestTime.delete(domain);
+    this.crawlDelays.delete(domain);
+    this.minDelays.delete(domain);
+    this.pending.delete(domain);
   }
 
   delay(ms) {
@@ -0,0 +1,26 @@
+/**
+ * Runs `worker(item, index)` over all items with at most `concurrency` calls
+ * in flight. Results keep the order of `items`, regardless of completion order.
+ * The worker is expected to handle its own errors; a rejection aborts the pool.
+ * @param {Array} items - Jobs to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @returns {Promise<Array>} Results in input order
+ */
+async function runPool(items, worker, concurrency = 1) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const run = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const size = Math.min(Math.max(1, concurrency || 1), items.length);
+  await Promise.all(Array.from({ length: size }, () => run()));
+  return results;
+}
+
+module.exports = { runPool };
@@ -2,7 +2,14 @@ const { getRequiredFields, isFieldRequired } = require('../schema/cardSchema');
 const { logInfo, logSuccess, logError, logWarn } = require('../utils/logger');
 
 class CardDataValidator {
-  constructor() {
+  /**
+   * @param {Object} options - { nameKeywords }: words the card's name is expected to contain
+   */
+  constructor(options = {}) {
+    this.options = {
+      nameKeywords: [],
+      ...options,
+    };
     this.errors = [];
     this.warnings = [];
   }
@@ -151,9 +158,9 @@ class CardDataValidator {
       }
     }
 
-    if (cardData.cardName) {
+    if (cardData.cardName && this.options.nameKeywords.length > 0) {
       const name = cardData.cardName.toLowerCase();
-      if (!name.includes('regalia') || !name.includes('gold')) {
+      if (!this.options.nameKeywords.every(word => name.includes(word))) {
         this.warnings.push(`Card name may not match expected card: ${cardData.cardName}`);
       }
     }